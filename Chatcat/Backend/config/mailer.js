@@ -0,0 +1,36 @@
+const createSmtpDriver = require("../utils/mail/smtpDriver");
+const createCaptureDriver = require("../utils/mail/captureDriver");
+
+// Every driver exposes send({ from, to, subject, text, html })
+const drivers = {
+  smtp: createSmtpDriver,
+  capture: createCaptureDriver,
+};
+
+let mailer;
+
+// Capturing mail means nobody receives it, so it's only ever implied for local runs (NODE_ENV unset,
+// development or test); a deployment that sets NODE_ENV to anything else has to pick a driver
+const defaultDriver = () => {
+  if (!process.env.NODE_ENV || ["development", "test"].includes(process.env.NODE_ENV)) return "capture";
+  throw new Error(
+    `MAIL_DRIVER must be set (one of: ${Object.keys(drivers).join(", ")}); ` +
+      'it only defaults to "capture" when NODE_ENV is unset, development or test'
+  );
+};
+
+// The driver named by MAIL_DRIVER, created on first use so .env is loaded
+const getMailer = () => {
+  if (!mailer) {
+    const name = process.env.MAIL_DRIVER || defaultDriver();
+    const createDriver = drivers[name];
+    if (!createDriver) {
+      throw new Error(`Unknown MAIL_DRIVER "${name}" (expected one of: ${Object.keys(drivers).join(", ")})`);
+    }
+    mailer = createDriver();
+    console.log(`Mail driver: ${mailer.name}${process.env.MAIL_DRIVER ? "" : " (MAIL_DRIVER not set)"}`);
+  }
+  return mailer;
+};
+
+module.exports = getMailer;
@@ -0,0 +1,27 @@
+const createLocalDriver = require("../utils/storage/localDriver");
+const createS3Driver = require("../utils/storage/s3Driver");
+
+// Every driver exposes put(key, body, { contentType, size }), read(key, { start, end }) and remove(key);
+// body is a Buffer or a readable stream of exactly `size` bytes
+const drivers = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+let storage;
+
+// The driver named by STORAGE_DRIVER (default "local"), created on first use so .env is loaded
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const createDriver = drivers[name];
+    if (!createDriver) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected one of: ${Object.keys(drivers).join(", ")})`);
+    }
+    storage = createDriver();
+    console.log(`Storage driver: ${storage.name}`);
+  }
+  return storage;
+};
+
+module.exports = getStorage;
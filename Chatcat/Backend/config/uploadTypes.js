@@ -0,0 +1,48 @@
+// Every file type the server can recognise from its bytes (see utils/fileSniffing.js)
+const KNOWN_TYPES = {
+  "image/jpeg": { extensions: [".jpg", ".jpeg"], label: "JPG" },
+  "image/png": { extensions: [".png"], label: "PNG" },
+  "image/gif": { extensions: [".gif"], label: "GIF" },
+  "image/webp": { extensions: [".webp"], label: "WebP" },
+  "application/pdf": { extensions: [".pdf"], label: "PDF" },
+  "video/mp4": { extensions: [".mp4"], label: "MP4" },
+  "video/webm": { extensions: [".webm"], label: "WebM video" },
+  "audio/mpeg": { extensions: [".mp3"], label: "MP3" },
+  "audio/mp4": { extensions: [".m4a"], label: "M4A" },
+  "audio/webm": { extensions: [".weba", ".webm"], label: "WebM audio" },
+  "audio/ogg": { extensions: [".ogg", ".oga", ".opus"], label: "Ogg audio" },
+};
+
+const DEFAULT_ALLOWED_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "application/pdf",
+  "video/mp4",
+  "audio/mpeg",
+  // What browsers' MediaRecorder produces for voice notes
+  "audio/webm",
+  "audio/ogg",
+  "audio/mp4",
+];
+
+/**
+ * The upload allow-list: UPLOAD_ALLOWED_TYPES (comma-separated MIME types) or the defaults.
+ * The frontend reads the same list from GET /api/upload/types.
+ */
+const allowedUploadTypes = () => {
+  const configured = process.env.UPLOAD_ALLOWED_TYPES
+    ? process.env.UPLOAD_ALLOWED_TYPES.split(",").map((type) => type.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES;
+
+  const unknown = configured.filter((type) => !KNOWN_TYPES[type]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `UPLOAD_ALLOWED_TYPES has types the server can't verify: ${unknown.join(", ")} (known: ${Object.keys(KNOWN_TYPES).join(", ")})`
+    );
+  }
+
+  return configured.map((mimeType) => ({ mimeType, ...KNOWN_TYPES[mimeType] }));
+};
+
+module.exports = allowedUploadTypes;
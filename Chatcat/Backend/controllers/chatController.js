@@ -1,7 +1,15 @@
 const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
 const Chat = require("../models/chatModel");
 const User = require("../models/userModel");
 const Message = require("../models/messageModel");
+const Upload = require("../models/uploadModel");
+const { markDelivered, markRead } = require("../utils/receipts");
+const { emitToMembers } = require("../utils/chatEvents");
+const { searchTerms, buildSnippet } = require("../utils/searchSnippet");
+const { fileUrl } = require("../utils/fileUrls");
+const { removeUpload } = require("../utils/uploads");
+const { findFirstUrl, unfurl } = require("../utils/linkPreview");
 
 /**
  * @desc    Create or fetch one-to-one chat
@@ -53,6 +61,13 @@ const accessChat = asyncHandler(async (req, res) => {
  * @route   GET /api/chats
  * @access  Private
  */
+// The newest main-timeline message a user can still see in a chat, for their chat-list preview
+const latestVisibleMessage = (chatId, userId) =>
+  Message.findOne({ chat: chatId, thread: null, deletedAt: null, deletedFor: { $ne: userId } })
+    .sort({ createdAt: -1, _id: -1 })
+    .select("-deletedFor")
+    .populate("sender", "name pic email");
+
 const fetchChats = asyncHandler(async (req, res) => {
   try {
     let chats = await Chat.find({
@@ -68,70 +83,917 @@ const fetchChats = asyncHandler(async (req, res) => {
       select: "name pic email",
     });
 
-    res.status(200).json(chats);
+    // The stored latest message is shared by every member; one this user deleted for themselves
+    // gives way to the newest one they still see
+    await Promise.all(
+      chats
+        .filter((chat) => chat.latestMessage?.deletedFor.some((id) => id.equals(req.user._id)))
+        .map(async (chat) => {
+          chat.latestMessage = await latestVisibleMessage(chat._id, req.user._id);
+        })
+    );
+
+    const markers = new Map(
+      chats.map((chat) => [
+        String(chat._id),
+        chat.lastRead?.find((r) => r.user.equals(req.user._id)),
+      ])
+    );
+
+    // Unread = visible main-timeline messages from others after this user's last-read marker,
+    // counted for every chat in one query
+    const unreadCounts = chats.length
+      ? await Message.aggregate([
+          {
+            $match: {
+              $or: chats.map((chat) => {
+                const marker = markers.get(String(chat._id));
+                return marker
+                  ? { chat: chat._id, createdAt: { $gt: marker.messageCreatedAt } }
+                  : { chat: chat._id };
+              }),
+              sender: { $ne: req.user._id },
+              thread: null,
+              deletedAt: null,
+              deletedFor: { $ne: req.user._id },
+            },
+          },
+          { $group: { _id: "$chat", count: { $sum: 1 } } },
+        ])
+      : [];
+    const unreadByChat = new Map(unreadCounts.map(({ _id, count }) => [String(_id), count]));
+
+    const withUnread = chats.map((chat) => {
+      const { lastRead, ...rest } = chat.toObject();
+      const marker = markers.get(String(chat._id));
+      if (rest.latestMessage) delete rest.latestMessage.deletedFor;
+
+      return {
+        ...rest,
+        unreadCount: unreadByChat.get(String(chat._id)) ?? 0,
+        lastReadMessage: marker?.message ?? null,
+        lastReadAt: marker?.messageCreatedAt ?? null,
+      };
+    });
+
+    res.status(200).json(withUnread);
   } catch (err) {
     res.status(400);
     throw new Error(err.message);
   }
 });
 
+const MAX_ATTACHMENTS = 10;
+
+const isNonNegativeNumber = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+// Attachments reference uploads by id; the client only adds media details and the voice note flag
+const parseAttachments = (raw) => {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw) || raw.length > MAX_ATTACHMENTS) return null;
+
+  const parsed = [];
+  for (const item of raw) {
+    const { fileId, width, height, duration, voiceNote } = item || {};
+
+    if (!mongoose.isValidObjectId(fileId)) return null;
+    if (voiceNote !== undefined && typeof voiceNote !== "boolean") return null;
+
+    const attachment = { fileId: String(fileId), ...(voiceNote ? { voiceNote } : {}) };
+    for (const [key, value] of Object.entries({ width, height, duration })) {
+      if (value === undefined || value === null) continue;
+      if (!isNonNegativeNumber(value)) return null;
+      attachment[key] = value;
+    }
+    parsed.push(attachment);
+  }
+  return parsed;
+};
+
+// Just enough of a quoted message to render the preview above a reply
+const REPLY_PREVIEW = {
+  path: "replyTo",
+  select: "content attachments sender deletedAt createdAt",
+  populate: { path: "sender", select: "name" },
+};
+
+// The socket a request was sent alongside (X-Socket-Id), as long as it is the requester's own
+const originSocketId = (req) => {
+  const socketId = req.get("X-Socket-Id");
+  const socket = socketId && req.app.get("io")?.sockets.sockets.get(socketId);
+  return socket?.data.userId === String(req.user._id) ? socketId : undefined;
+};
+
+// Unfurl the message's first link in the background, then patch it for everyone in the chat
+const refreshLinkPreview = async (io, chat, message) => {
+  const url = findFirstUrl(message.content);
+  if ((message.linkPreview?.url ?? null) === url) return;
+
+  const linkPreview = url ? await unfurl(url) : null;
+
+  // Skip it if the message was edited or deleted while we were fetching
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, content: message.content, deletedAt: null },
+    linkPreview ? { linkPreview } : { $unset: { linkPreview: 1 } },
+    { timestamps: false }
+  );
+  if (!updated) return;
+
+  emitToMembers(io, chat, "message link preview", {
+    chatId: chat._id,
+    messageId: message._id,
+    linkPreview,
+  });
+};
+
 /**
  * @desc    Send a message
  * @route   POST /api/chats/message
  * @access  Private
  */
 const sendMessage = asyncHandler(async (req, res) => {
-  const { content, chatId } = req.body;
+  const { content, chatId, replyTo, threadId } = req.body;
+  const attachments = parseAttachments(req.body.attachments);
+
+  if (!attachments) {
+    res.status(400);
+    throw new Error(`attachments must be a list of up to ${MAX_ATTACHMENTS} uploaded files`);
+  }
+
+  if (content != null && typeof content !== "string") {
+    res.status(400);
+    throw new Error("content must be a string");
+  }
 
-  if (!content || !chatId) {
+  if ((!content?.trim() && attachments.length === 0) || !chatId) {
     res.status(400);
-    throw new Error("content and chatId are required");
+    throw new Error("content or attachments, and chatId, are required");
+  }
+
+  // File details come from the upload record, and only your own uploads to this chat count
+  if (attachments.length > 0) {
+    const uploads = await Upload.find({
+      _id: { $in: attachments.map((a) => a.fileId) },
+      chat: chatId,
+      uploader: req.user._id,
+    });
+    const byId = new Map(uploads.map((u) => [String(u._id), u]));
+
+    if (attachments.some((a) => !byId.has(a.fileId))) {
+      res.status(400);
+      throw new Error("attachments must be files you uploaded to this chat");
+    }
+
+    attachments.forEach((attachment, i) => {
+      const upload = byId.get(attachment.fileId);
+      attachments[i] = {
+        ...attachment,
+        url: fileUrl(upload._id),
+        name: upload.originalName,
+        mimeType: upload.mimeType,
+        size: upload.size,
+        // The server measured images itself; trust that over the client
+        ...(upload.width ? { width: upload.width, height: upload.height } : {}),
+        // Only recorded audio can be a voice note
+        voiceNote: attachment.voiceNote && upload.mimeType.startsWith("audio/") ? true : undefined,
+      };
+    });
+  }
+
+  // Threads are one level deep: the root has to be a live top-level message
+  if (threadId) {
+    const root =
+      mongoose.isValidObjectId(threadId) &&
+      (await Message.exists({ _id: threadId, chat: chatId, thread: null, deletedAt: null }));
+    if (!root) {
+      res.status(400);
+      throw new Error("threadId must be a top-level message in this chat");
+    }
+  }
+
+  // Quotes stay within one timeline (the main chat or the same thread) and need something to quote
+  if (replyTo) {
+    const original =
+      mongoose.isValidObjectId(replyTo) &&
+      (await Message.exists({ _id: replyTo, chat: chatId, thread: threadId || null, deletedAt: null }));
+    if (!original) {
+      res.status(400);
+      throw new Error("replyTo must be a message in the same chat or thread that hasn't been deleted");
+    }
   }
 
   const newMessage = {
     sender: req.user._id,
     content,
+    attachments,
     chat: chatId,
+    replyTo: replyTo || undefined,
+    thread: threadId || undefined,
   };
 
   try {
     let message = await Message.create(newMessage);
 
+    if (threadId) {
+      await Message.updateOne(
+        { _id: threadId },
+        { $inc: { threadReplyCount: 1 }, threadLastReplyAt: message.createdAt },
+        { timestamps: false }
+      );
+    }
+
     message = await message.populate("sender", "name pic");
+    message = await message.populate(REPLY_PREVIEW);
     message = await message.populate("chat");
     message = await User.populate(message, {
       path: "chat.users",
       select: "name pic email",
     });
 
-    // Update latest message
-    await Chat.findByIdAndUpdate(chatId, { latestMessage: message._id });
+    // Update latest message; thread replies aren't in the main timeline the chat list previews
+    if (!threadId) {
+      await Chat.findByIdAndUpdate(chatId, { latestMessage: message._id });
+    }
+
+    // Fan out from the stored membership, never the client's: to the other members and to the
+    // sender's other tabs and devices, skipping only the socket that already has the response
+    emitToMembers(req.app.get("io"), req.chat, "message received", message, {
+      exceptSocket: originSocketId(req),
+    });
 
     res.status(201).json(message);
+
+    refreshLinkPreview(req.app.get("io"), req.chat, message).catch((err) =>
+      console.error("Link preview error:", err.message)
+    );
   } catch (error) {
     res.status(400);
     throw new Error(error.message);
   }
 });
 
+const MESSAGE_PAGE_SIZE = 30;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
 /**
- * @desc    Get all messages for a specific chat
- * @route   GET /api/chats/:chatId/messages
+ * @desc    Get a page of messages for a specific chat
+ * @route   GET /api/chats/:chatId/messages?before=<messageId>&after=<messageId>&limit=<n>&thread=<messageId>
  * @access  Private
+ *
+ * Pages through the main timeline, or through a single thread when `thread`
+ * names its root message. Without a cursor the newest page is returned. `before` pages back through
+ * history and `after` fetches anything newer than the given message. Either
+ * way the page comes back oldest first, ordered by createdAt then _id.
  */
 const getMessages = asyncHandler(async (req, res) => {
   const { chatId } = req.params;
+  const { before, after, thread } = req.query;
 
-  try {
-    const messages = await Message.find({ chat: chatId })
-      .populate("sender", "name pic email")
-      .populate("chat");
+  if (before && after) {
+    res.status(400);
+    throw new Error("Use either before or after, not both");
+  }
 
-    res.status(200).json(messages);
-  } catch (error) {
+  if (thread && !mongoose.isValidObjectId(thread)) {
     res.status(400);
-    throw new Error(error.message);
+    throw new Error("Invalid thread id");
+  }
+
+  const cursorId = before || after;
+  if (cursorId && !mongoose.isValidObjectId(cursorId)) {
+    res.status(400);
+    throw new Error("Invalid message cursor");
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE, 1),
+    MAX_MESSAGE_PAGE_SIZE
+  );
+
+  const filter = { chat: chatId, thread: thread || null, deletedFor: { $ne: req.user._id } };
+
+  if (cursorId) {
+    const cursor = await Message.findOne({ _id: cursorId, chat: chatId }).select("createdAt");
+    if (!cursor) {
+      res.status(404);
+      throw new Error("Cursor message not found in this chat");
+    }
+
+    const op = before ? "$lt" : "$gt";
+    filter.$or = [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+    ];
+  }
+
+  // Walk towards the cursor's side and fetch one extra row to detect more pages
+  const direction = after ? 1 : -1;
+  const messages = await Message.find(filter)
+    .sort({ createdAt: direction, _id: direction })
+    .limit(limit + 1)
+    .select("-deletedFor")
+    .populate("sender", "name pic email")
+    .populate(REPLY_PREVIEW);
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+  if (!after) page.reverse();
+
+  // Fetching history counts as receiving it
+  const receipt = await markDelivered(
+    req.app.get("io"),
+    req.chat,
+    req.user._id,
+    page.map((m) => m._id)
+  );
+  if (receipt) {
+    page.forEach((m) => {
+      if (receipt.messageIds.some((id) => id.equals(m._id))) {
+        m.deliveredTo.push({ user: req.user._id, at: receipt.at });
+      }
+    });
+  }
+
+  res.status(200).json({ messages: page, hasMore });
+});
+
+// Senders can edit their messages for this long after sending
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Load :messageId from the chat already resolved by requireChatMember
+const findChatMessage = async (req, res) => {
+  const { messageId } = req.params;
+
+  const message = mongoose.isValidObjectId(messageId)
+    ? await Message.findOne({ _id: messageId, chat: req.chat._id })
+    : null;
+
+  if (!message || message.deletedFor.some((id) => id.equals(req.user._id))) {
+    res.status(404);
+    throw new Error("Message not found");
+  }
+
+  return message;
+};
+
+const toClientMessage = async (message) => {
+  await message.populate([{ path: "sender", select: "name pic email" }, REPLY_PREVIEW]);
+  const { deletedFor, ...rest } = message.toObject();
+  return rest;
+};
+
+/**
+ * @desc    Edit one of your own messages
+ * @route   PATCH /api/chats/:chatId/messages/:messageId
+ * @access  Private (message sender)
+ */
+const editMessage = asyncHandler(async (req, res) => {
+  const content = typeof req.body.content === "string" ? req.body.content.trim() : "";
+
+  if (!content) {
+    res.status(400);
+    throw new Error("content is required");
+  }
+
+  const message = await findChatMessage(req, res);
+
+  if (!message.sender.equals(req.user._id)) {
+    res.status(403);
+    throw new Error("You can only edit your own messages");
+  }
+
+  if (message.deletedAt) {
+    res.status(400);
+    throw new Error("Deleted messages cannot be edited");
+  }
+
+  if (Date.now() - message.createdAt.getTime() > MESSAGE_EDIT_WINDOW_MS) {
+    res.status(403);
+    throw new Error("The edit window for this message has passed");
+  }
+
+  if (content === message.content) {
+    return res.status(200).json(await toClientMessage(message));
+  }
+
+  message.editHistory.push({ content: message.content, editedAt: new Date() });
+  message.content = content;
+  message.editedAt = new Date();
+  await message.save();
+
+  const updated = await toClientMessage(message);
+  emitToMembers(req.app.get("io"), req.chat, "message updated", updated);
+
+  res.status(200).json(updated);
+
+  refreshLinkPreview(req.app.get("io"), req.chat, message).catch((err) =>
+    console.error("Link preview error:", err.message)
+  );
+});
+
+/**
+ * @desc    Delete a message for yourself, or for everyone if you sent it
+ * @route   DELETE /api/chats/:chatId/messages/:messageId?scope=me|everyone
+ * @access  Private
+ */
+const deleteMessage = asyncHandler(async (req, res) => {
+  const scope = req.query.scope || "me";
+
+  if (!["me", "everyone"].includes(scope)) {
+    res.status(400);
+    throw new Error("scope must be 'me' or 'everyone'");
+  }
+
+  const message = await findChatMessage(req, res);
+
+  if (scope === "me") {
+    message.deletedFor.addToSet(req.user._id);
+    await message.save({ timestamps: false });
+
+    // Hiding the chat's latest message moves this user's preview back to one they still see
+    const latestMessage = req.chat.latestMessage?.equals(message._id)
+      ? await latestVisibleMessage(req.chat._id, req.user._id)
+      : undefined;
+    return res.status(200).json({ _id: message._id, chatId: req.chat._id, scope, latestMessage });
+  }
+
+  if (!message.sender.equals(req.user._id)) {
+    res.status(403);
+    throw new Error("You can only delete your own messages for everyone");
+  }
+
+  const newlyDeleted = !message.deletedAt;
+  if (newlyDeleted) {
+    const fileIds = message.attachments.map((a) => a.fileId).filter(Boolean);
+
+    message.deletedAt = new Date();
+    message.content = undefined;
+    message.attachments = [];
+    message.linkPreview = undefined;
+    message.editHistory = [];
+    await message.save();
+
+    // The files go too, unless another live message still shows them
+    const stillUsed = await Message.find({
+      "attachments.fileId": { $in: fileIds },
+      deletedAt: null,
+    }).distinct("attachments.fileId");
+    const uploads = await Upload.find({
+      _id: { $in: fileIds, $nin: stillUsed },
+      chat: req.chat._id,
+    });
+    await Promise.all(uploads.map(removeUpload));
+  }
+
+  // If this was the chat's latest message, fall back to the newest main-timeline one still standing
+  let latestMessage;
+  if (req.chat.latestMessage?.equals(message._id)) {
+    latestMessage = await Message.findOne({ chat: req.chat._id, thread: null, deletedAt: null })
+      .sort({ createdAt: -1, _id: -1 })
+      .select("-deletedFor")
+      .populate("sender", "name pic email");
+
+    await Chat.updateOne(
+      { _id: req.chat._id },
+      { latestMessage: latestMessage?._id ?? null },
+      { timestamps: false }
+    );
+  }
+
+  // A deleted reply no longer counts towards its thread
+  let thread;
+  if (message.thread) {
+    const root = newlyDeleted
+      ? await Message.findOneAndUpdate(
+          { _id: message.thread, threadReplyCount: { $gt: 0 } },
+          { $inc: { threadReplyCount: -1 } },
+          { new: true, timestamps: false }
+        ).select("threadReplyCount")
+      : await Message.findById(message.thread).select("threadReplyCount");
+    if (root) thread = { _id: root._id, threadReplyCount: root.threadReplyCount };
+  }
+
+  const deleted = await toClientMessage(message);
+  const payload = { chatId: req.chat._id, message: deleted, latestMessage, thread };
+  emitToMembers(req.app.get("io"), req.chat, "message deleted", payload);
+
+  res.status(200).json({ ...payload, scope });
+});
+
+// Long enough for multi-codepoint emoji (skin tones, ZWJ sequences, flags)
+const MAX_REACTION_LENGTH = 32;
+
+// Pictographs, flags and keycaps, with no letters or whitespace mixed in
+const isEmoji = (value) =>
+  /^[^\sA-Za-z]+$/.test(value) &&
+  /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u.test(value);
+
+/**
+ * @desc    Toggle your emoji reaction on a message
+ * @route   POST /api/chats/:chatId/messages/:messageId/reactions
+ * @access  Private
+ */
+const toggleReaction = asyncHandler(async (req, res) => {
+  const emoji = typeof req.body.emoji === "string" ? req.body.emoji.trim() : "";
+
+  if (!emoji || emoji.length > MAX_REACTION_LENGTH || !isEmoji(emoji)) {
+    res.status(400);
+    throw new Error("A valid emoji is required");
+  }
+
+  const message = await findChatMessage(req, res);
+
+  if (message.deletedAt) {
+    res.status(400);
+    throw new Error("Deleted messages cannot be reacted to");
+  }
+
+  const mine = { user: req.user._id, emoji };
+
+  // Remove the reaction if it's there, otherwise add it; both atomic so double clicks are safe
+  const removed = await Message.updateOne(
+    { _id: message._id },
+    { $pull: { reactions: mine } },
+    { timestamps: false }
+  );
+  if (removed.modifiedCount === 0) {
+    await Message.updateOne(
+      { _id: message._id, reactions: { $not: { $elemMatch: mine } } },
+      { $push: { reactions: { ...mine, at: new Date() } } },
+      { timestamps: false }
+    );
+  }
+
+  const { reactions } = await Message.findById(message._id).select("reactions");
+  const payload = { chatId: req.chat._id, messageId: message._id, reactions };
+  emitToMembers(req.app.get("io"), req.chat, "message reactions", payload);
+
+  res.status(200).json(payload);
+});
+
+/**
+ * @desc    Mark messages in a chat as read up to a given message
+ * @route   POST /api/chats/:chatId/read
+ * @access  Private
+ */
+const markChatRead = asyncHandler(async (req, res) => {
+  const { messageId } = req.body;
+
+  if (!messageId || !mongoose.isValidObjectId(messageId)) {
+    res.status(400);
+    throw new Error("A valid messageId is required");
+  }
+
+  const receipt = await markRead(req.app.get("io"), req.chat, req.user._id, messageId);
+  if (!receipt) {
+    res.status(404);
+    throw new Error("Message not found in this chat");
+  }
+
+  res.status(200).json(receipt);
+});
+
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+
+/**
+ * @desc    Search message text across the chats you belong to
+ * @route   GET /api/chats/search?q=<text>&chatId=&sender=&from=&to=&limit=
+ * @access  Private
+ */
+const searchMessages = asyncHandler(async (req, res) => {
+  const { chatId, sender, from, to } = req.query;
+
+  // Repeated parameters (?q=a&q=b) arrive as arrays
+  for (const [name, value] of Object.entries({ q: req.query.q, chatId, sender, from, to })) {
+    if (value !== undefined && typeof value !== "string") {
+      res.status(400);
+      throw new Error(`${name} must be given once`);
+    }
   }
+
+  const q = req.query.q?.trim();
+  if (!q) {
+    res.status(400);
+    throw new Error("q is required");
+  }
+
+  for (const [name, value] of [["chatId", chatId], ["sender", sender]]) {
+    if (value && !mongoose.isValidObjectId(value)) {
+      res.status(400);
+      throw new Error(`Invalid ${name}`);
+    }
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    res.status(400);
+    throw new Error("from and to must be valid dates");
+  }
+
+  // Only ever look inside chats the caller is a member of
+  const myChatIds = await Chat.find({ users: req.user._id }).distinct("_id");
+  if (chatId && !myChatIds.some((id) => id.equals(chatId))) {
+    res.status(403);
+    throw new Error("You are not a member of this chat");
+  }
+
+  const filter = {
+    $text: { $search: q },
+    chat: chatId ? chatId : { $in: myChatIds },
+    deletedAt: null,
+    deletedFor: { $ne: req.user._id },
+  };
+  if (sender) filter.sender = sender;
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE, 1),
+    MAX_SEARCH_PAGE_SIZE
+  );
+
+  const messages = await Message.find(filter, { score: { $meta: "textScore" } })
+    .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+    .limit(limit)
+    .select("-deletedFor -editHistory")
+    .populate("sender", "name pic email")
+    .populate({
+      path: "chat",
+      select: "chatName isGroupChat users",
+      populate: { path: "users", select: "name pic email" },
+    });
+
+  const terms = searchTerms(q);
+  const results = messages.map((message) => ({
+    message,
+    ...buildSnippet(message.content, terms),
+  }));
+
+  res.status(200).json({ results });
+});
+
+// Make sure the chat loaded by requireChatMember is a group the caller may manage
+const requireGroupChat = (req, res, { adminOnly = false } = {}) => {
+  const { chat } = req;
+
+  if (!chat.isGroupChat) {
+    res.status(404);
+    throw new Error("Group chat not found");
+  }
+
+  if (adminOnly && !chat.groupAdmin?.equals(req.user._id)) {
+    res.status(403);
+    throw new Error("Only the group admin can do this");
+  }
+
+  return chat;
+};
+
+const populateGroupChat = (chatId) =>
+  Chat.findById(chatId)
+    .populate("users", "-password")
+    .populate("groupAdmin", "-password")
+    .populate("latestMessage");
+
+// User ids from the request; anything that isn't an ObjectId would fail as a CastError (500)
+const requireUserId = (res, userId) => {
+  if (!userId) {
+    res.status(400);
+    throw new Error("UserId is required");
+  }
+
+  if (!mongoose.isValidObjectId(userId)) {
+    res.status(400);
+    throw new Error("Invalid userId");
+  }
+};
+
+// Push the group as it now stands to its members, so their chat lists pick up the change
+const broadcastGroup = (req, chat, fullChat) => {
+  emitToMembers(req.app.get("io"), chat, "group updated", fullChat);
+};
+
+// Tell users who are no longer members to drop the group from their list
+const broadcastGroupRemoved = (req, chatId, userIds) => {
+  const io = req.app.get("io");
+  userIds.forEach((userId) => io?.to(String(userId)).emit("group removed", { chatId }));
+};
+
+/**
+ * @desc    Create a group chat
+ * @route   POST /api/chats/group
+ * @access  Private
+ */
+const createGroupChat = asyncHandler(async (req, res) => {
+  const { name, users } = req.body;
+
+  if (name != null && typeof name !== "string") {
+    res.status(400);
+    throw new Error("name must be a string");
+  }
+
+  if (!name?.trim() || !Array.isArray(users)) {
+    res.status(400);
+    throw new Error("name and users are required");
+  }
+
+  if (!users.every((id) => mongoose.isValidObjectId(id))) {
+    res.status(400);
+    throw new Error("users must be valid user ids");
+  }
+
+  // The creator is always a member, so drop them and any duplicates
+  const memberIds = [...new Set(users.map(String))].filter(
+    (id) => id !== String(req.user._id)
+  );
+
+  if (memberIds.length < 2) {
+    res.status(400);
+    throw new Error("A group chat needs at least 3 members including you");
+  }
+
+  const found = await User.countDocuments({ _id: { $in: memberIds } });
+  if (found !== memberIds.length) {
+    res.status(400);
+    throw new Error("One or more users do not exist");
+  }
+
+  const groupChat = await Chat.create({
+    chatName: name.trim(),
+    isGroupChat: true,
+    users: [req.user._id, ...memberIds],
+    groupAdmin: req.user._id,
+  });
+
+  const fullChat = await populateGroupChat(groupChat._id);
+  broadcastGroup(req, groupChat, fullChat);
+  res.status(201).json(fullChat);
+});
+
+/**
+ * @desc    Rename a group chat
+ * @route   PUT /api/chats/:chatId/rename
+ * @access  Private (group admin)
+ */
+const renameGroup = asyncHandler(async (req, res) => {
+  const { chatName } = req.body;
+
+  if (chatName != null && typeof chatName !== "string") {
+    res.status(400);
+    throw new Error("chatName must be a string");
+  }
+
+  if (!chatName?.trim()) {
+    res.status(400);
+    throw new Error("chatName is required");
+  }
+
+  const chat = requireGroupChat(req, res, { adminOnly: true });
+  chat.chatName = chatName.trim();
+  await chat.save();
+
+  const fullChat = await populateGroupChat(chat._id);
+  broadcastGroup(req, chat, fullChat);
+  res.status(200).json(fullChat);
+});
+
+/**
+ * @desc    Add a member to a group chat
+ * @route   PUT /api/chats/:chatId/members
+ * @access  Private (group admin)
+ */
+const addToGroup = asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+  requireUserId(res, userId);
+
+  const chat = requireGroupChat(req, res, { adminOnly: true });
+
+  if (chat.users.some((u) => u.equals(userId))) {
+    res.status(400);
+    throw new Error("User is already a member of this group");
+  }
+
+  if (!(await User.exists({ _id: userId }))) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  chat.users.push(userId);
+  await chat.save();
+
+  const fullChat = await populateGroupChat(chat._id);
+  broadcastGroup(req, chat, fullChat);
+  res.status(200).json(fullChat);
+});
+
+/**
+ * @desc    Remove a member from a group chat
+ * @route   DELETE /api/chats/:chatId/members/:userId
+ * @access  Private (group admin)
+ */
+const removeFromGroup = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  requireUserId(res, userId);
+
+  const chat = requireGroupChat(req, res, { adminOnly: true });
+
+  if (chat.groupAdmin.equals(userId)) {
+    res.status(400);
+    throw new Error("The admin cannot be removed, use leave instead");
+  }
+
+  if (!chat.users.some((u) => u.equals(userId))) {
+    res.status(404);
+    throw new Error("User is not a member of this group");
+  }
+
+  chat.users.pull(userId);
+  await chat.save();
+
+  const fullChat = await populateGroupChat(chat._id);
+  broadcastGroup(req, chat, fullChat);
+  broadcastGroupRemoved(req, chat._id, [userId]);
+  res.status(200).json(fullChat);
+});
+
+/**
+ * @desc    Leave a group chat
+ * @route   PUT /api/chats/:chatId/leave
+ * @access  Private (group member)
+ */
+const leaveGroup = asyncHandler(async (req, res) => {
+  const chat = requireGroupChat(req, res);
+
+  chat.users.pull(req.user._id);
+
+  // Nobody left to talk to, so the group goes away with the last member
+  if (chat.users.length === 0) {
+    await Chat.deleteOne({ _id: chat._id });
+    await Message.deleteMany({ chat: chat._id });
+    // Its files too, the same way a message deleted for everyone takes its own
+    const uploads = await Upload.find({ chat: chat._id });
+    await Promise.all(uploads.map(removeUpload));
+    broadcastGroupRemoved(req, chat._id, [req.user._id]);
+    return res.status(200).json({ _id: chat._id, deleted: true });
+  }
+
+  // Hand the group over to the longest-standing member when the admin leaves
+  if (chat.groupAdmin.equals(req.user._id)) {
+    chat.groupAdmin = chat.users[0];
+  }
+
+  await chat.save();
+
+  const fullChat = await populateGroupChat(chat._id);
+  broadcastGroup(req, chat, fullChat);
+  // The leaver's other tabs and devices
+  broadcastGroupRemoved(req, chat._id, [req.user._id]);
+  res.status(200).json(fullChat);
+});
+
+/**
+ * @desc    Transfer group admin rights to another member
+ * @route   PUT /api/chats/:chatId/admin
+ * @access  Private (group admin)
+ */
+const transferGroupAdmin = asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+  requireUserId(res, userId);
+
+  const chat = requireGroupChat(req, res, { adminOnly: true });
+
+  if (!chat.users.some((u) => u.equals(userId))) {
+    res.status(400);
+    throw new Error("New admin must be a member of this group");
+  }
+
+  chat.groupAdmin = userId;
+  await chat.save();
+
+  const fullChat = await populateGroupChat(chat._id);
+  broadcastGroup(req, chat, fullChat);
+  res.status(200).json(fullChat);
 });
 
-module.exports = { accessChat, fetchChats, sendMessage, getMessages };
+module.exports = {
+  accessChat,
+  fetchChats,
+  sendMessage,
+  getMessages,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  markChatRead,
+  searchMessages,
+  createGroupChat,
+  renameGroup,
+  addToGroup,
+  removeFromGroup,
+  leaveGroup,
+  transferGroupAdmin,
+};
@@ -0,0 +1,257 @@
+const asyncHandler = require("express-async-handler");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { Readable } = require("stream");
+const UploadSession = require("../models/uploadSessionModel");
+const { checkChatAccess } = require("../middleware/chatMiddleware");
+const getStorage = require("../config/storage");
+const {
+  uploadLimits,
+  uploadError,
+  checkUploadType,
+  checkUploadContent,
+  saveUpload,
+  uploadResponse,
+} = require("../utils/uploads");
+
+// An untouched session (and its resume point) is kept this long after its last chunk
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const chunkKey = (sessionId, index) => `chunks/${sessionId}/${index}`;
+
+const chunkLength = (session, index) =>
+  index === session.totalChunks - 1
+    ? session.size - index * session.chunkSize
+    : session.chunkSize;
+
+// What a client needs to (re)start sending chunks
+const sessionStatus = (session) => ({
+  sessionId: session._id,
+  name: session.originalName,
+  mimeType: session.mimeType,
+  size: session.size,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: [...session.receivedChunks].sort((a, b) => a - b),
+  expiresAt: session.expiresAt,
+});
+
+// Sessions are private to whoever opened them
+const findSession = async (req, res) => {
+  const session = mongoose.isValidObjectId(req.params.id)
+    ? await UploadSession.findOne({ _id: req.params.id, uploader: req.user._id })
+    : null;
+
+  if (!session) {
+    res.status(404);
+    throw new Error("Upload session not found");
+  }
+
+  return session;
+};
+
+const removeChunks = (session) =>
+  Promise.all(
+    session.receivedChunks.map((index) =>
+      getStorage().remove(chunkKey(session._id, index)).catch(() => {})
+    )
+  );
+
+/**
+ * @desc    Start a resumable upload into a chat
+ * @route   POST /api/upload/sessions?chatId=<chatId>
+ * @access  Private (chat members)
+ */
+const createUploadSession = asyncHandler(async (req, res) => {
+  const { name, mimeType, size } = req.body;
+
+  if (typeof name !== "string" || !name || typeof mimeType !== "string" || !Number.isInteger(size) || size <= 0) {
+    res.status(400);
+    throw new Error("name, mimeType and a positive integer size are required");
+  }
+
+  checkUploadType(res, { name, mimeType });
+
+  const { maxSize, chunkSize } = uploadLimits();
+  if (size > maxSize) {
+    throw uploadError(res, 413, "FILE_TOO_LARGE", `Files can be at most ${Math.floor(maxSize / (1024 * 1024))} MB`);
+  }
+
+  const session = await UploadSession.create({
+    uploader: req.user._id,
+    chat: req.chat._id,
+    originalName: name,
+    mimeType,
+    size,
+    chunkSize,
+    totalChunks: Math.ceil(size / chunkSize),
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS),
+  });
+
+  res.status(201).json(sessionStatus(session));
+});
+
+/**
+ * @desc    Which chunks have arrived, for resuming
+ * @route   GET /api/upload/sessions/:id
+ * @access  Private (session owner)
+ */
+const getUploadSession = asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+  res.json(sessionStatus(session));
+});
+
+/**
+ * @desc    Store one chunk; the body is the raw bytes, X-Chunk-Checksum their SHA-256 (hex)
+ * @route   PUT /api/upload/sessions/:id/chunks/:index
+ * @access  Private (session owner)
+ */
+const uploadChunk = asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+  const index = Number(req.params.index);
+
+  if (session.status !== "open") {
+    res.status(409);
+    throw new Error("Upload is already being completed");
+  }
+
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    res.status(400);
+    throw new Error(`Chunk index must be between 0 and ${session.totalChunks - 1}`);
+  }
+
+  const expectedLength = chunkLength(session, index);
+  if (!Buffer.isBuffer(req.body) || req.body.length !== expectedLength) {
+    res.status(400);
+    throw new Error(`Chunk ${index} must be ${expectedLength} bytes of application/octet-stream`);
+  }
+
+  // A mismatch means the chunk was damaged in transit; the client just sends it again
+  const checksum = crypto.createHash("sha256").update(req.body).digest("hex");
+  if (req.get("X-Chunk-Checksum")?.toLowerCase() !== checksum) {
+    res.status(400);
+    throw new Error(`Chunk ${index} checksum mismatch`);
+  }
+
+  // The first chunk holds the file's signature; a bad one ends the session
+  if (index === 0) {
+    try {
+      checkUploadContent(res, { mimeType: session.mimeType, head: req.body });
+    } catch (error) {
+      await removeChunks(session);
+      await session.deleteOne();
+      throw error;
+    }
+  }
+
+  await getStorage().put(chunkKey(session._id, index), req.body, {
+    contentType: "application/octet-stream",
+    size: expectedLength,
+  });
+
+  const updated = await UploadSession.findByIdAndUpdate(
+    session._id,
+    {
+      $addToSet: { receivedChunks: index },
+      expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS),
+    },
+    { new: true }
+  );
+
+  res.json(sessionStatus(updated));
+});
+
+/**
+ * @desc    Assemble the chunks into a file, ready to attach to a message
+ * @route   POST /api/upload/sessions/:id/complete
+ * @access  Private (session owner, still a chat member)
+ */
+const completeUploadSession = asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+
+  const { chat } = await checkChatAccess(session.chat, req.user._id);
+  if (!chat) {
+    res.status(403);
+    throw new Error("You are no longer a member of this chat");
+  }
+
+  const received = new Set(session.receivedChunks);
+  const missing = [];
+  for (let i = 0; i < session.totalChunks; i++) {
+    if (!received.has(i)) missing.push(i);
+  }
+  if (missing.length > 0) {
+    res.status(409);
+    throw new Error(`Missing chunks: ${missing.slice(0, 20).join(", ")}${missing.length > 20 ? ", …" : ""}`);
+  }
+
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: "open" },
+    { status: "completing" }
+  );
+  if (!claimed) {
+    res.status(409);
+    throw new Error("Upload is already being completed");
+  }
+
+  const storage = getStorage();
+  async function* chunks() {
+    for (let i = 0; i < session.totalChunks; i++) {
+      const stream = await storage.read(chunkKey(session._id, i));
+      if (!stream) throw new Error(`Chunk ${i} is missing from storage`);
+      yield* stream;
+    }
+  }
+
+  let record;
+  try {
+    // Images are buffered so they go through the same cleanup as single uploads
+    const body = session.mimeType.startsWith("image/")
+      ? Buffer.concat(await Readable.from(chunks()).toArray())
+      : Readable.from(chunks());
+
+    record = await saveUpload(res, {
+      body,
+      originalName: session.originalName,
+      mimeType: session.mimeType,
+      size: session.size,
+      uploader: req.user._id,
+      chat: session.chat,
+    });
+  } catch (error) {
+    await UploadSession.updateOne({ _id: session._id }, { status: "open" });
+    throw error;
+  }
+
+  await removeChunks(session);
+  await session.deleteOne();
+
+  res.status(201).json(uploadResponse(record));
+});
+
+/**
+ * @desc    Abandon an upload and discard its chunks
+ * @route   DELETE /api/upload/sessions/:id
+ * @access  Private (session owner)
+ */
+const abortUploadSession = asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+
+  if (session.status !== "open") {
+    res.status(409);
+    throw new Error("Upload is already being completed");
+  }
+
+  await removeChunks(session);
+  await session.deleteOne();
+
+  res.json({ message: "Upload cancelled" });
+});
+
+module.exports = {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUploadSession,
+  abortUploadSession,
+};
@@ -1,6 +1,50 @@
 const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
 const User = require("../models/userModel");
 const generateToken = require("../utils/generateToken");
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+} = require("../utils/refreshTokens");
+const { getContactIds } = require("../utils/presence");
+const {
+  PASSWORD_RESET_TTL_MS,
+  issuePasswordReset,
+  consumePasswordReset,
+} = require("../utils/passwordResets");
+const { sendPasswordResetEmail, sendVerificationEmail } = require("../utils/accountEmails");
+const {
+  VERIFICATION_LINK_TTL_SECONDS,
+  signVerification,
+  verifyVerificationSignature,
+} = require("../utils/emailVerification");
+
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_NAME_LENGTH = 50;
+// Minimum gap between verification emails to one account
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+const profileResponse = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  pic: user.pic,
+  verified: user.verified,
+  createdAt: user.createdAt,
+});
+
+const sendVerification = async (user) => {
+  await User.updateOne({ _id: user._id }, { verificationSentAt: new Date() });
+  await sendVerificationEmail(user, signVerification(user), VERIFICATION_LINK_TTL_SECONDS);
+};
+
+// A fresh login session: a short-lived access token plus the refresh token that renews it
+const issueSession = async (req, userId) => ({
+  token: generateToken(userId),
+  refreshToken: await issueRefreshToken(userId, { userAgent: req.get("User-Agent") }),
+});
 
 const registerUser = asyncHandler(async (req, res) => {
   const { name, email, password, pic } = req.body;
@@ -14,12 +58,20 @@ const registerUser = asyncHandler(async (req, res) => {
   const user = await User.create({ name, email, password, pic });
 
   if (user) {
+    // The account exists either way; a failed email can be resent from the app
+    try {
+      await sendVerification(user);
+    } catch (error) {
+      console.error("Failed to send verification email:", error);
+    }
+
     res.status(201).json({
       _id: user._id,
       name: user.name,
       email: user.email,
       pic: user.pic,
-      token: generateToken(user._id),
+      verified: user.verified,
+      ...(await issueSession(req, user._id)),
     });
   } else {
     res.status(400);
@@ -37,7 +89,8 @@ const authUser = asyncHandler(async (req, res) => {
       name: user.name,
       email: user.email,
       pic: user.pic,
-      token: generateToken(user._id),
+      verified: user.verified,
+      ...(await issueSession(req, user._id)),
     });
   } else {
     res.status(401);
@@ -45,6 +98,175 @@ const authUser = asyncHandler(async (req, res) => {
   }
 });
 
+// Trade a refresh token for a new access token and the next refresh token
+const refreshSession = asyncHandler(async (req, res) => {
+  const rotated = await rotateRefreshToken(req.body.refreshToken, {
+    userAgent: req.get("User-Agent"),
+  });
+
+  if (!rotated || !(await User.exists({ _id: rotated.userId }))) {
+    res.status(401);
+    throw new Error("Refresh token is invalid or expired");
+  }
+
+  res.json({ token: generateToken(rotated.userId), refreshToken: rotated.refreshToken });
+});
+
+// Revoke the session behind a refresh token; works even once the access token has expired
+const logoutUser = asyncHandler(async (req, res) => {
+  await revokeRefreshToken(req.body.refreshToken);
+  res.json({ message: "Logged out" });
+});
+
+// Follow the link from a verification email; works without being signed in on this device
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { user: userId, expires, sig } = req.body;
+  const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+
+  if (!user || !verifyVerificationSignature(user, expires, sig)) {
+    res.status(400);
+    throw new Error("Verification link is invalid or has expired");
+  }
+
+  if (!user.verified) {
+    user.verified = true;
+    await user.save();
+  }
+
+  res.json({ _id: user._id, verified: true, message: "Email address verified" });
+});
+
+const resendVerification = asyncHandler(async (req, res) => {
+  if (req.user.verified) {
+    res.status(400);
+    throw new Error("Email address is already verified");
+  }
+
+  const sentAt = req.user.verificationSentAt?.getTime() ?? 0;
+  if (Date.now() - sentAt < VERIFICATION_RESEND_INTERVAL_MS) {
+    res.status(429);
+    throw new Error("A verification email was just sent; please wait a minute before asking again");
+  }
+
+  await sendVerification(req.user);
+  res.json({ message: `Verification email sent to ${req.user.email}` });
+});
+
+// Always the same answer, so the endpoint can't be used to find out who has an account
+const requestPasswordReset = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (typeof email !== "string" || !email.trim()) {
+    res.status(400);
+    throw new Error("Email is required");
+  }
+
+  res.json({ message: "If an account exists for that email, a reset link is on its way" });
+
+  // After responding, so known and unknown addresses take the same time
+  try {
+    const user = await User.findOne({ email: email.trim() });
+    if (!user) return;
+    const token = await issuePasswordReset(user._id);
+    await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MS);
+  } catch (error) {
+    console.error("Failed to send password reset email:", error);
+  }
+});
+
+// Set a new password with a token from a reset email; every existing session is signed out
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    res.status(400);
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const userId = await consumePasswordReset(token);
+  const user = userId && (await User.findById(userId));
+  if (!user) {
+    res.status(400);
+    throw new Error("Reset link is invalid or has expired");
+  }
+
+  user.password = password; // hashed by the pre-save hook
+  // The link reached their inbox, which is all verification proves
+  user.verified = true;
+  await user.save();
+  await revokeUserRefreshTokens(user._id);
+
+  res.json({ message: "Password has been reset" });
+});
+
+const getProfile = asyncHandler(async (req, res) => {
+  res.json(profileResponse(req.user));
+});
+
+// Name and avatar change freely; a new password needs the current one
+const updateProfile = asyncHandler(async (req, res) => {
+  const { name, pic, currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user._id);
+
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      res.status(400);
+      throw new Error(`Name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    user.name = name.trim();
+  }
+
+  if (pic !== undefined) {
+    let valid = false;
+    try {
+      valid = typeof pic === "string" && ["http:", "https:"].includes(new URL(pic).protocol);
+    } catch {
+      valid = false;
+    }
+    if (!valid) {
+      res.status(400);
+      throw new Error("Avatar must be an http(s) image URL");
+    }
+    user.pic = pic;
+  }
+
+  const changingPassword = newPassword !== undefined;
+  if (changingPassword) {
+    if (typeof newPassword !== "string" || newPassword.length < MIN_PASSWORD_LENGTH) {
+      res.status(400);
+      throw new Error(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    // 400 rather than 401: the session is fine, the form input isn't
+    if (typeof currentPassword !== "string" || !(await user.matchPassword(currentPassword))) {
+      res.status(400);
+      throw new Error("Current password is incorrect");
+    }
+    user.password = newPassword; // hashed by the pre-save hook
+  }
+
+  await user.save();
+
+  // Let everyone who shares a chat with this user (and their other tabs) refresh names and avatars
+  const io = req.app.get("io");
+  if (io && (name !== undefined || pic !== undefined)) {
+    const contactIds = await getContactIds(user._id);
+    io.to([...contactIds, String(user._id)]).emit("profile updated", {
+      _id: user._id,
+      name: user.name,
+      pic: user.pic,
+    });
+  }
+
+  // A password change signs out every other session; this one carries on with fresh tokens
+  let session = {};
+  if (changingPassword) {
+    await revokeUserRefreshTokens(user._id);
+    session = await issueSession(req, user._id);
+  }
+
+  res.json({ ...profileResponse(user), ...session });
+});
+
 const allUsers = asyncHandler(async (req, res) => {
   const keyword = req.query.search
     ? {
@@ -59,4 +281,16 @@ const allUsers = asyncHandler(async (req, res) => {
   res.send(users);
 });
 
-module.exports = { registerUser, authUser, allUsers };
+module.exports = {
+  registerUser,
+  authUser,
+  refreshSession,
+  logoutUser,
+  verifyEmail,
+  resendVerification,
+  requestPasswordReset,
+  resetPassword,
+  getProfile,
+  updateProfile,
+  allUsers,
+};
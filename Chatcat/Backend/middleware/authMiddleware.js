@@ -2,23 +2,89 @@ const jwt = require("jsonwebtoken");
 const asyncHandler = require("express-async-handler");
 const User = require("../models/userModel");
 
-const protect = asyncHandler(async (req, res, next) => {
-  let token;
-
-  if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
-    try {
-      token = req.headers.authorization.split(" ")[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select("-password");
-      next();
-    } catch (err) {
+// Checks the Bearer token and loads req.user. Accounts that haven't verified their email
+// only get through routes that pass allowUnverified (their profile, resending the link).
+const authenticate = ({ allowUnverified = false } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
+      try {
+        token = req.headers.authorization.split(" ")[1];
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        req.user = await User.findById(decoded.id).select("-password");
+      } catch (err) {
+        res.status(401);
+        throw new Error(
+          err.name === "TokenExpiredError"
+            ? "Not authorized, token expired"
+            : "Not authorized, token failed"
+        );
+      }
+    } else {
       res.status(401);
-      throw new Error("Not authorized, token failed");
+      throw new Error("Not authorized, no token");
+    }
+
+    if (!req.user) {
+      res.status(401);
+      throw new Error("Not authorized, user not found");
+    }
+
+    if (!allowUnverified && !req.user.verified) {
+      res.status(403);
+      const error = new Error("Please verify your email address first");
+      error.errorCode = "EMAIL_NOT_VERIFIED";
+      throw error;
     }
-  } else {
-    res.status(401);
+
+    next();
+  });
+
+const protect = authenticate();
+const protectUnverified = authenticate({ allowUnverified: true });
+
+// Resolves { user, expiresAt } for a socket's JWT, or rejects with the reason it can't be used
+const verifySocketToken = async (token) => {
+  if (!token) {
     throw new Error("Not authorized, no token");
   }
-});
 
-module.exports = { protect };
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw new Error(
+      err.name === "TokenExpiredError"
+        ? "Not authorized, token expired"
+        : "Not authorized, token failed"
+    );
+  }
+
+  const user = await User.findById(decoded.id).select("-password");
+
+  if (!user) {
+    throw new Error("Not authorized, user not found");
+  }
+
+  if (!user.verified) {
+    throw new Error("Not authorized, email not verified");
+  }
+
+  return { user, expiresAt: decoded.exp * 1000 };
+};
+
+// Socket.IO counterpart of protect: the handshake must carry the same JWT in auth.token
+const protectSocket = async (socket, next) => {
+  try {
+    const { user, expiresAt } = await verifySocketToken(socket.handshake.auth?.token);
+    socket.data.user = user;
+    socket.data.userId = String(user._id);
+    socket.data.tokenExpiresAt = expiresAt;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { protect, protectUnverified, protectSocket, verifySocketToken };
@@ -0,0 +1,42 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const Chat = require("../models/chatModel");
+
+// Resolve a chat and confirm the user belongs to it. Returns { chat } on
+// success or { status, message } so both HTTP and socket handlers can use it.
+const checkChatAccess = async (chatId, userId) => {
+  if (!chatId) {
+    return { status: 400, message: "chatId is required" };
+  }
+
+  if (!mongoose.isValidObjectId(chatId)) {
+    return { status: 404, message: "Chat not found" };
+  }
+
+  const chat = await Chat.findById(chatId);
+  if (!chat) {
+    return { status: 404, message: "Chat not found" };
+  }
+
+  if (!userId || !chat.users.some((u) => u.equals(userId))) {
+    return { status: 403, message: "You are not a member of this chat" };
+  }
+
+  return { chat };
+};
+
+// Route guard: the chat comes from :chatId, body.chatId or ?chatId and is exposed as req.chat
+const requireChatMember = asyncHandler(async (req, res, next) => {
+  const chatId = req.params.chatId || req.body?.chatId || req.query.chatId;
+  const { chat, status, message } = await checkChatAccess(chatId, req.user._id);
+
+  if (!chat) {
+    res.status(status);
+    throw new Error(message);
+  }
+
+  req.chat = chat;
+  next();
+});
+
+module.exports = { checkChatAccess, requireChatMember };
@@ -5,9 +5,11 @@ const notFound = (req, res, next) => {
 };
 
 const errorHandler = (err, req, res, next) => {
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  // Body parsers report their own status (e.g. 413 for an oversized body)
+  const statusCode = res.statusCode === 200 ? err.status || 500 : res.statusCode;
   res.status(statusCode).json({
     message: err.message,
+    code: err.errorCode,
     stack: process.env.NODE_ENV === "production" ? null : err.stack,
   });
 };
@@ -0,0 +1,38 @@
+const Migration = require("../models/migrationModel");
+const migrateLegacyUploads = require("./legacyUploads");
+const markExistingUsersVerified = require("./verifiedUsers");
+const dropLinkPreviewImages = require("./linkPreviewImages");
+
+// Data fixes for records written by older versions, in order. The names are what gets recorded,
+// so they must never change once released.
+const migrations = [
+  { name: "legacy-uploads-to-attachments", run: migrateLegacyUploads },
+  { name: "mark-existing-users-verified", run: markExistingUsersVerified },
+  { name: "drop-link-preview-images", run: dropLinkPreviewImages },
+];
+
+/**
+ * Run every migration not yet recorded in the migrations collection, storing what each one
+ * returns alongside its name. One that fails is not
+ * recorded and stops startup, since the code behind it depends on the fixed data (existing
+ * accounts would otherwise all fail the email verification check); it runs again on the next start.
+ */
+const runMigrations = async () => {
+  const done = new Set(await Migration.distinct("name"));
+
+  for (const { name, run } of migrations) {
+    if (done.has(name)) continue;
+
+    try {
+      const result = await run();
+      // Upsert, so two instances starting together don't trip over the unique name
+      await Migration.updateOne({ name }, { $setOnInsert: { result } }, { upsert: true });
+    } catch (error) {
+      console.error(`Migration ${name} failed:`, error.message);
+      process.exit(1);
+    }
+    console.log(`Migration ${name} done`);
+  }
+};
+
+module.exports = runMigrations;
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+const Message = require("../models/messageModel");
+const { saveUpload, uploadResponse } = require("../utils/uploads");
+const { sniffMimeTypes, looksExecutable } = require("../utils/fileSniffing");
+
+// Where uploads lived before they went through the storage drivers and signed links
+const LEGACY_UPLOAD_DIR = path.join(__dirname, "../uploads");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// The origins this server used to hand out upload URLs under (it built them from the request's
+// Host header); links to anywhere else are just links, even if their path looks the same
+const legacyOrigins = () =>
+  (process.env.LEGACY_UPLOAD_ORIGINS || `http://localhost:${process.env.PORT || 5000}`)
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+
+// Old file messages were nothing but the file's URL, e.g. http://localhost:5000/uploads/1700000000000-123456789.png,
+// under one of our origins or relative; the name is always the upload time, a random number and the extension
+const legacyUrlPattern = () => {
+  const origins = legacyOrigins().map(escapeRegExp).join("|");
+  return new RegExp(`^(?:${origins})?/uploads/(\\d+-\\d+(?:\\.[A-Za-z0-9]+)?)$`);
+};
+
+/**
+ * Turn old "/uploads/..." URL messages into attachments backed by Upload records, so those files
+ * are served like any other: members only, through signed links. Run once by migrations/index.js;
+ * the result lists the messages that could not be moved, and the original files are left where
+ * they are.
+ */
+const migrateLegacyUploads = async () => {
+  const legacyUrl = legacyUrlPattern();
+  const messages = Message.find({
+    content: { $regex: legacyUrl.source },
+    "attachments.0": { $exists: false },
+    deletedAt: null,
+  }).cursor();
+
+  // The same file shared twice in one chat becomes one upload
+  const uploads = new Map();
+  let migrated = 0;
+  const missing = [];
+  const failed = [];
+
+  for await (const message of messages) {
+    const filename = message.content.match(legacyUrl)[1];
+    const key = `${message.chat}:${filename}`;
+
+    try {
+      if (!uploads.has(key)) {
+        const file = path.join(LEGACY_UPLOAD_DIR, filename);
+        const body = await fs.promises.readFile(file).catch(() => null);
+        // Served as a plain download unless the bytes say otherwise
+        const mimeType = body && ((!looksExecutable(body) && sniffMimeTypes(body)[0]) || "application/octet-stream");
+
+        uploads.set(
+          key,
+          body &&
+            (await saveUpload(null, {
+              body,
+              originalName: filename,
+              mimeType,
+              size: body.length,
+              uploader: message.sender,
+              chat: message.chat,
+            }))
+        );
+      }
+
+      const record = uploads.get(key);
+      if (!record) {
+        console.warn(`Legacy upload ${filename} is missing; message ${message._id} left as is`);
+        missing.push(message._id);
+        continue;
+      }
+
+      await Message.updateOne(
+        { _id: message._id },
+        { $set: { attachments: [uploadResponse(record)] }, $unset: { content: 1 } },
+        { timestamps: false }
+      );
+      migrated++;
+    } catch (error) {
+      console.error(`Failed to migrate legacy upload for message ${message._id}:`, error.message);
+      failed.push(message._id);
+    }
+  }
+
+  if (migrated > 0) console.log(`Moved ${migrated} legacy upload message(s) to attachments`);
+  return { migrated, missing, failed };
+};
+
+module.exports = migrateLegacyUploads;
@@ -0,0 +1,16 @@
+const Message = require("../models/messageModel");
+
+/**
+ * Link previews no longer carry the page's og:image, which browsers loaded straight from the
+ * linked site; clear it from previews stored before that.
+ */
+const dropLinkPreviewImages = async () => {
+  const { modifiedCount } = await Message.updateMany(
+    { "linkPreview.image": { $exists: true } },
+    { $unset: { "linkPreview.image": 1 } },
+    { timestamps: false, strict: false }
+  );
+  if (modifiedCount > 0) console.log(`Removed images from ${modifiedCount} link preview(s)`);
+};
+
+module.exports = dropLinkPreviewImages;
@@ -0,0 +1,17 @@
+const User = require("../models/userModel");
+
+/**
+ * Accounts from before email verification existed have no `verified` field, and Mongoose would
+ * read them as unverified. They are kept as they were: verified. New accounts always store the
+ * field (false until the link is followed), so this never touches them, even when run again.
+ */
+const markExistingUsersVerified = async () => {
+  const { modifiedCount } = await User.updateMany(
+    { verified: { $exists: false } },
+    { $set: { verified: true } },
+    { timestamps: false }
+  );
+  if (modifiedCount > 0) console.log(`Marked ${modifiedCount} existing user(s) as verified`);
+};
+
+module.exports = markExistingUsersVerified;
@@ -1,5 +1,15 @@
 const mongoose = require("mongoose");
 
+// Where each member has read up to; createdAt is copied so unread counts need no lookup
+const lastReadSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    message: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
+    messageCreatedAt: { type: Date },
+  },
+  { _id: false }
+);
+
 const chatSchema = new mongoose.Schema(
   {
     chatName: { type: String, trim: true },
@@ -7,6 +17,7 @@ const chatSchema = new mongoose.Schema(
     users: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     latestMessage: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
     groupAdmin: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    lastRead: [lastReadSchema],
   },
   { timestamps: true }
 );
@@ -1,12 +1,102 @@
 const mongoose = require("mongoose");
 
+// One entry per recipient, recorded the first time it happens
+const receiptSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Previous versions of an edited message, oldest first
+const editSchema = new mongoose.Schema(
+  {
+    content: { type: String },
+    editedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One entry per user per emoji; reacting again with the same emoji removes it
+const reactionSchema = new mongoose.Schema(
+  {
+    emoji: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A file shared in a message, as described by the /api/upload response
+const attachmentSchema = new mongoose.Schema(
+  {
+    fileId: { type: mongoose.Schema.Types.ObjectId, ref: "Upload" },
+    // Stable link; GET it to obtain a short-lived signed URL for the content
+    url: { type: String, required: true },
+    name: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    // Seconds, for audio and video
+    duration: { type: Number },
+    // Recorded in the composer rather than picked from disk
+    voiceNote: { type: Boolean },
+  },
+  { _id: false }
+);
+
+// Unfurled metadata for the first link in the content
+const linkPreviewSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    title: { type: String, required: true },
+    description: { type: String },
+    siteName: { type: String },
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     chat: { type: mongoose.Schema.Types.ObjectId, ref: "Chat" },
     sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-    content: { type: String, trim: true, required: true },
+    // Optional caption when there are attachments; deleted-for-everyone
+    // messages keep their row but lose both
+    content: {
+      type: String,
+      trim: true,
+      required() {
+        return !this.deletedAt && !(this.attachments?.length > 0);
+      },
+    },
+    attachments: [attachmentSchema],
+    // Filled in shortly after sending (or editing), once the link has been fetched
+    linkPreview: { type: linkPreviewSchema },
+    // Message being quoted in a reply
+    replyTo: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
+    // Root message when posted inside a thread; thread replies stay out of the main timeline
+    thread: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
+    threadReplyCount: { type: Number, default: 0 },
+    threadLastReplyAt: { type: Date },
+    deliveredTo: [receiptSchema],
+    readBy: [receiptSchema],
+    reactions: [reactionSchema],
+    editedAt: { type: Date },
+    editHistory: [editSchema],
+    deletedAt: { type: Date },
+    // Members who removed the message from their own view only
+    deletedFor: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
   },
   { timestamps: true }
 );
 
+// Serves paginated history: newest-first per chat with _id as tiebreaker
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
+// Same, split into the main timeline (thread: null) and each thread
+messageSchema.index({ chat: 1, thread: 1, createdAt: -1, _id: -1 });
+// Full-text message search
+messageSchema.index({ content: "text" });
+
 module.exports = mongoose.model("Message", messageSchema);
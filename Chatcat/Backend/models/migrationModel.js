@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// A data migration that has finished; migrations/index.js skips every name listed here
+const migrationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    // Whatever the migration reported, e.g. the records it had to leave alone
+    result: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Migration", migrationSchema);
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// An outstanding "forgot password" request; spent (deleted) by the reset it allows
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // SHA-256 of the token; the token itself only ever exists in the email
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordReset", passwordResetSchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// One refresh token in a login session; each use replaces it with a new one
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // SHA-256 of the token; the token itself only ever exists on the client
+    tokenHash: { type: String, required: true, unique: true },
+    // Every rotation of one login shares a family, so a replayed token can end the whole session
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    userAgent: { type: String },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// A downscaled copy of an uploaded image, stored under its own key
+const variantSchema = new mongoose.Schema(
+  {
+    filename: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
+// A file uploaded by a user into a chat; only that chat's members may read it
+const uploadSchema = new mongoose.Schema(
+  {
+    // Key in the configured storage driver
+    filename: { type: String, required: true },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    // Images only: pixel size after EXIF orientation, plus "thumbnail"/"preview" copies
+    width: { type: Number },
+    height: { type: Number },
+    variants: { type: Map, of: variantSchema, default: {} },
+    uploader: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    chat: { type: mongoose.Schema.Types.ObjectId, ref: "Chat", required: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Upload", uploadSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// A resumable upload in progress; chunks live in storage until the session is completed
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    uploader: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    chat: { type: mongoose.Schema.Types.ObjectId, ref: "Chat", required: true },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    chunkSize: { type: Number, required: true },
+    totalChunks: { type: Number, required: true },
+    receivedChunks: [{ type: Number }],
+    // "completing" while the chunks are being assembled, so a double submit can't store the file twice
+    status: { type: String, enum: ["open", "completing"], default: "open" },
+    // Pushed forward by every chunk; MongoDB drops abandoned sessions (their chunks are left for
+    // storage lifecycle rules or a periodic sweep of the chunks/ prefix)
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UploadSession", uploadSessionSchema);
@@ -11,6 +11,11 @@ const userSchema = new mongoose.Schema(
       default:
         "https://icon-library.com/images/anonymous-avatar-icon/anonymous-avatar-icon-25.jpg",
     },
+    lastSeen: { type: Date },
+    // Set once the user follows the link in their verification email
+    verified: { type: Boolean, default: false },
+    // When the last verification email went out, to throttle resends
+    verificationSentAt: { type: Date },
   },
   { timestamps: true }
 );
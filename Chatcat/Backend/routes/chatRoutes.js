@@ -1,17 +1,42 @@
 const express = require("express");
 const { protect } = require("../middleware/authMiddleware");
+const { requireChatMember } = require("../middleware/chatMiddleware");
 const {
   accessChat,
   fetchChats,
   sendMessage,
   getMessages,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  markChatRead,
+  searchMessages,
+  createGroupChat,
+  renameGroup,
+  addToGroup,
+  removeFromGroup,
+  leaveGroup,
+  transferGroupAdmin,
 } = require("../controllers/chatController");
 
 const router = express.Router();
 
 router.post("/", protect, accessChat);
 router.get("/", protect, fetchChats);
-router.post("/message", protect, sendMessage);
-router.get("/:chatId/messages", protect, getMessages);
+router.get("/search", protect, searchMessages);
+router.post("/message", protect, requireChatMember, sendMessage);
+router.get("/:chatId/messages", protect, requireChatMember, getMessages);
+router.patch("/:chatId/messages/:messageId", protect, requireChatMember, editMessage);
+router.delete("/:chatId/messages/:messageId", protect, requireChatMember, deleteMessage);
+router.post("/:chatId/messages/:messageId/reactions", protect, requireChatMember, toggleReaction);
+router.post("/:chatId/read", protect, requireChatMember, markChatRead);
+
+// Group chats
+router.post("/group", protect, createGroupChat);
+router.put("/:chatId/rename", protect, requireChatMember, renameGroup);
+router.put("/:chatId/members", protect, requireChatMember, addToGroup);
+router.delete("/:chatId/members/:userId", protect, requireChatMember, removeFromGroup);
+router.put("/:chatId/leave", protect, requireChatMember, leaveGroup);
+router.put("/:chatId/admin", protect, requireChatMember, transferGroupAdmin);
 
 module.exports = router;
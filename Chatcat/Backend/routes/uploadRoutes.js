@@ -1,63 +1,195 @@
 // routes/uploadRoutes.js
 const express = require("express");
-const multer = require("multer");
 const path = require("path");
-const fs = require("fs");
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const Upload = require("../models/uploadModel");
+const { protect } = require("../middleware/authMiddleware");
+const { checkChatAccess, requireChatMember } = require("../middleware/chatMiddleware");
+const { signFileUrl, verifyFileSignature } = require("../utils/fileUrls");
+const getStorage = require("../config/storage");
+const {
+  uploadLimits,
+  uploadError,
+  checkUploadType,
+  checkUploadContent,
+  saveUpload,
+  uploadResponse,
+} = require("../utils/uploads");
+const allowedUploadTypes = require("../config/uploadTypes");
+const {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUploadSession,
+  abortUploadSession,
+} = require("../controllers/uploadSessionController");
 
 const router = express.Router();
 
-const uploadDir = path.join(__dirname, "../uploads");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir);
-  console.log("✅ Created uploads folder automatically");
-}
-
-const storage = multer.diskStorage({
-  destination(req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename(req, file, cb) {
-    const uniqueName = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, uniqueName + path.extname(file.originalname));
-  },
+// Files are buffered in memory, then handed to the configured storage driver.
+// Anything bigger than one chunk goes through the resumable session endpoints instead.
+const singleUpload = (req, res, next) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: uploadLimits().chunkSize },
+  }).single("file")(req, res, next);
+
+// Load an upload record, 404 for bad or unknown ids
+const findUpload = async (req, res) => {
+  const upload = mongoose.isValidObjectId(req.params.id)
+    ? await Upload.findById(req.params.id)
+    : null;
+
+  if (!upload) {
+    res.status(404);
+    throw new Error("File not found");
+  }
+
+  return upload;
+};
+
+// GET /api/upload/types — the allow-list and size limits, so the client can check files before sending
+router.get("/types", protect, (req, res) => {
+  const { maxSize, chunkSize } = uploadLimits();
+  res.json({ types: allowedUploadTypes(), maxSize, chunkSize });
 });
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
-  fileFilter(req, file, cb) {
-    const allowed = /jpeg|jpg|png|gif|pdf|mp4|mp3/;
-    const ext = path.extname(file.originalname).toLowerCase();
-    const mime = file.mimetype;
-    if (allowed.test(ext) && allowed.test(mime)) {
-      cb(null, true);
-    } else {
-      cb(new Error("Unsupported file type"));
+// POST /api/upload?chatId=<chatId> — upload a file (up to one chunk in size) into a chat you belong to
+router.post("/", protect, requireChatMember, (req, res, next) => {
+  singleUpload(req, res, async (err) => {
+    try {
+      if (err?.code === "LIMIT_FILE_SIZE") {
+        throw uploadError(res, 413, "FILE_TOO_LARGE", "File is too large for a single request; use a resumable upload");
+      }
+      if (err) {
+        console.error("❌ Upload error:", err.message);
+        res.status(400);
+        throw err;
+      }
+      if (!req.file) {
+        res.status(400);
+        throw new Error("No file uploaded");
+      }
+
+      const { originalname, mimetype, buffer } = req.file;
+      checkUploadType(res, { name: originalname, mimeType: mimetype });
+      checkUploadContent(res, { mimeType: mimetype, head: buffer });
+
+      const record = await saveUpload(res, {
+        body: buffer,
+        originalName: originalname,
+        mimeType: mimetype,
+        size: req.file.size,
+        uploader: req.user._id,
+        chat: req.chat._id,
+      });
+      res.status(201).json(uploadResponse(record));
+    } catch (error) {
+      next(error);
     }
-  },
+  });
 });
 
-router.post("/", (req, res) => {
-  upload.single("file")(req, res, (err) => {
-    if (err) {
-      console.error("❌ Upload error:", err.message);
-      return res.status(400).json({ message: err.message });
+// Resumable uploads: open a session, PUT each chunk with its SHA-256, then complete
+router.post("/sessions", protect, requireChatMember, createUploadSession);
+router.get("/sessions/:id", protect, getUploadSession);
+router.put(
+  "/sessions/:id/chunks/:index",
+  protect,
+  (req, res, next) =>
+    express.raw({ type: "application/octet-stream", limit: uploadLimits().chunkSize })(req, res, next),
+  uploadChunk
+);
+router.post("/sessions/:id/complete", protect, completeUploadSession);
+router.delete("/sessions/:id", protect, abortUploadSession);
+
+// GET /api/upload/:id — a short-lived signed link, for members of the file's chat
+router.get(
+  "/:id",
+  protect,
+  asyncHandler(async (req, res) => {
+    const upload = await findUpload(req, res);
+    const { chat } = await checkChatAccess(upload.chat, req.user._id);
+
+    // Non-members get the same answer as a missing file
+    if (!chat) {
+      res.status(404);
+      throw new Error("File not found");
     }
 
-    if (!req.file) {
-      return res.status(400).json({ message: "No file uploaded" });
+    // Downscaled copies share the original's signature, picked with ?variant=
+    const signed = signFileUrl(upload._id);
+    const variants = {};
+    for (const name of upload.variants?.keys() || []) {
+      variants[name] = `${signed.url}&variant=${name}`;
     }
 
-    const fileUrl = `${req.protocol}://${req.get("host")}/uploads/${req.file.filename}`;
-    console.log("✅ File uploaded:", fileUrl);
+    res.json({ ...signed, variants });
+  })
+);
+
+// GET /api/upload/:id/content?expires=&sig=[&variant=] — the file itself; the signature is the credential
+router.get(
+  "/:id/content",
+  asyncHandler(async (req, res) => {
+    const { expires, sig, variant } = req.query;
 
-    res.json({
-      url: fileUrl,
-      name: req.file.originalname,
-      type: req.file.mimetype,
-      size: req.file.size,
+    if (!verifyFileSignature(req.params.id, expires, sig)) {
+      res.status(403);
+      throw new Error("Link is invalid or has expired");
+    }
+
+    const upload = await findUpload(req, res);
+    const file = variant ? upload.variants?.get(variant) : upload;
+    if (!file) {
+      res.status(404);
+      throw new Error("File not found");
+    }
+    const inline = /^(image|video|audio)\//.test(file.mimeType);
+
+    // Single byte ranges let audio and video seek; anything fancier gets the whole file
+    const ranges = req.range(file.size);
+    if (ranges === -1) {
+      res.set("Content-Range", `bytes */${file.size}`);
+      res.status(416);
+      throw new Error("Requested range not satisfiable");
+    }
+    const range = Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1 ? ranges[0] : null;
+
+    const stream = await getStorage().read(file.filename, range || {});
+    if (!stream) {
+      res.status(404);
+      throw new Error("File not found");
+    }
+
+    // Media plays in the page; everything else downloads under its original name. Variants are
+    // re-encoded, so they take their own stored extension (e.g. photo-preview.webp for photo.jpg)
+    res.attachment(
+      variant ? `${path.parse(upload.originalName).name}-${variant}${path.extname(file.filename)}` : upload.originalName
+    );
+    if (inline) {
+      res.set("Content-Disposition", res.get("Content-Disposition").replace(/^attachment/, "inline"));
+    }
+    res.type(file.mimeType);
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set("Cache-Control", "private, max-age=300");
+    res.set("Accept-Ranges", "bytes");
+    if (range) {
+      res.status(206);
+      res.set("Content-Range", `bytes ${range.start}-${range.end}/${file.size}`);
+      res.set("Content-Length", String(range.end - range.start + 1));
+    } else {
+      res.set("Content-Length", String(file.size));
+    }
+
+    stream.on("error", (err) => {
+      console.error("❌ Download error:", err.message);
+      res.destroy(err);
     });
-  });
-});
+    stream.pipe(res);
+  })
+);
 
 module.exports = router;
@@ -2,14 +2,29 @@ const express = require("express");
 const {
   registerUser,
   authUser,
+  refreshSession,
+  logoutUser,
+  verifyEmail,
+  resendVerification,
+  requestPasswordReset,
+  resetPassword,
+  getProfile,
+  updateProfile,
   allUsers,
 } = require("../controllers/userController");
-const { protect } = require("../middleware/authMiddleware");
+const { protect, protectUnverified } = require("../middleware/authMiddleware");
 
 const router = express.Router();
 
 router.post("/register", registerUser);
 router.post("/login", authUser);
+router.post("/refresh", refreshSession);
+router.post("/logout", logoutUser);
+router.post("/verify-email", verifyEmail);
+router.post("/verify-email/resend", protectUnverified, resendVerification);
+router.post("/password/forgot", requestPasswordReset);
+router.post("/password/reset", resetPassword);
+router.route("/profile").get(protectUnverified, getProfile).put(protectUnverified, updateProfile);
 router.get("/", protect, allUsers);
 
 module.exports = router;
@@ -5,14 +5,25 @@ const cors = require("cors");
 const http = require("http");
 const { Server } = require("socket.io");
 const connectDB = require("./config/db");
+const getStorage = require("./config/storage");
+const getMailer = require("./config/mailer");
+const runMigrations = require("./migrations");
 const userRoutes = require("./routes/userRoutes");
 const chatRoutes = require("./routes/chatRoutes");
 const uploadRoutes = require("./routes/uploadRoutes");
 const { notFound, errorHandler } = require("./middleware/errorMiddleware");
-const path = require("path");
+const { checkChatAccess } = require("./middleware/chatMiddleware");
+const { protectSocket, verifySocketToken } = require("./middleware/authMiddleware");
+const { markDelivered, markRead } = require("./utils/receipts");
+const { emitToMembers } = require("./utils/chatEvents");
+const { isOnline, addSocket, removeSocket, getContactIds } = require("./utils/presence");
+const User = require("./models/userModel");
 
 dotenv.config();
-connectDB();
+getStorage(); // fail fast on a misconfigured storage driver
+getMailer(); // and mail driver
+// Requests wait for migrations (e.g. existing accounts must count as verified before any auth check)
+const ready = connectDB().then(runMigrations);
 
 const app = express();
 
@@ -35,8 +46,8 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Chunk-Checksum", "X-Socket-Id"],
 };
 
 // Apply simplified CORS middleware for Express REST API
@@ -54,8 +65,7 @@ app.use("/api/users", userRoutes);
 app.use("/api/chats", chatRoutes);
 app.use("/api/upload", uploadRoutes);
 
-// ✅ Serve static uploads
-app.use("/uploads", express.static(path.join(__dirname, "/uploads")));
+// Uploads are no longer served statically; see GET /api/upload/:id
 
 // ✅ Error Handling
 app.use(notFound);
@@ -75,72 +85,167 @@ const io = new Server(server, {
   pingTimeout: 60000,
 });
 
+// Controllers emit real-time events through req.app.get("io")
+app.set("io", io);
+
+// setTimeout overflows past ~24.8 days, so long-lived tokens are re-checked in steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// How long before its JWT runs out a socket is asked to hand over a renewed one
+const TOKEN_RENEWAL_WINDOW_MS = 60 * 1000;
+
+// Ask the client for a fresh JWT shortly before the current one runs out ("token expiring",
+// answered with "refresh token"), and only disconnect a socket that never renews
+const scheduleTokenExpiry = (socket) => {
+  clearTimeout(socket.data.expiryTimer);
+  const delay = socket.data.tokenExpiresAt - Date.now();
+
+  if (delay <= 0) {
+    socket.emit("token expired");
+    socket.disconnect(true);
+    return;
+  }
+
+  const untilRenewal = delay - TOKEN_RENEWAL_WINDOW_MS;
+  if (untilRenewal <= 0 && !socket.data.renewalRequested) {
+    socket.data.renewalRequested = true;
+    socket.emit("token expiring");
+  }
+
+  socket.data.expiryTimer = setTimeout(
+    () => scheduleTokenExpiry(socket),
+    Math.min(untilRenewal > 0 ? untilRenewal : delay, MAX_TIMER_DELAY)
+  );
+};
+
+// ✅ Only sockets with a valid JWT get through
+io.use(protectSocket);
+
 // ✅ Socket.IO Logic
 io.on("connection", (socket) => {
+  const { user, userId } = socket.data;
   console.log("⚡ Socket connected:", socket.id);
 
-  // --- Setup user room ---
-  socket.on("setup", (userData) => {
-    if (!userData?._id) return;
-    socket.join(userData._id);
-    console.log(`👤 ${userData.name} (${userData._id}) connected`);
-    socket.emit("connected");
+  // --- Personal room, bound to the verified user ---
+  socket.join(userId);
+  console.log(`👤 ${user.name} (${userId}) connected`);
+  socket.emit("connected");
+  scheduleTokenExpiry(socket);
+
+  // --- Re-authenticate the live socket with a renewed JWT, without dropping the connection ---
+  socket.on("refresh token", async (payload, ack) => {
+    if (typeof ack !== "function") ack = () => {};
+    try {
+      const { user: renewed, expiresAt } = await verifySocketToken(payload?.token);
+      if (String(renewed._id) !== userId) {
+        throw new Error("Not authorized, token belongs to another user");
+      }
+
+      socket.data.tokenExpiresAt = expiresAt;
+      socket.data.renewalRequested = false;
+      scheduleTokenExpiry(socket);
+      ack({ ok: true, expiresAt });
+    } catch (err) {
+      ack({ ok: false, message: err.message });
+    }
   });
 
+  // --- Presence: announce the first socket, send back who is already online ---
+  const cameOnline = addSocket(userId, socket.id);
+  getContactIds(userId)
+    .then((contactIds) => {
+      socket.emit("online users", contactIds.filter(isOnline));
+      if (cameOnline && contactIds.length > 0) {
+        io.to(contactIds).emit("presence", { userId, online: true });
+      }
+    })
+    .catch((err) => console.error("❌ presence lookup failed:", err.message));
+
   // --- Join chat ---
-  socket.on("join chat", (roomId) => {
-    socket.join(roomId);
-    console.log(`📁 Joined chat room: ${roomId}`);
+  socket.on("join chat", async (roomId) => {
+    try {
+      const { chat, status, message } = await checkChatAccess(roomId, userId);
+      if (!chat) {
+        socket.emit("join chat error", { chatId: roomId, status, message });
+        return;
+      }
+      socket.join(roomId);
+      console.log(`📁 Joined chat room: ${roomId}`);
+    } catch (err) {
+      console.error("❌ join chat failed:", err.message);
+    }
   });
 
-  // --- Messaging ---
-  socket.on("new message", (message) => {
-    const chat = message.chat;
-    if (!chat?.users) return console.log("⚠️ chat.users not defined.");
+  // --- Delivery & read receipts ---
+  socket.on("message delivered", async ({ chatId, messageId } = {}) => {
+    try {
+      const { chat } = await checkChatAccess(chatId, userId);
+      if (chat) await markDelivered(io, chat, user._id, [messageId]);
+    } catch (err) {
+      console.error("❌ message delivered failed:", err.message);
+    }
+  });
 
-    chat.users.forEach((user) => {
-      if (user._id === message.sender._id) return;
-      io.to(user._id).emit("message received", message);
-    });
+  socket.on("mark read", async ({ chatId, messageId } = {}) => {
+    try {
+      const { chat } = await checkChatAccess(chatId, userId);
+      if (chat) await markRead(io, chat, user._id, messageId);
+    } catch (err) {
+      console.error("❌ mark read failed:", err.message);
+    }
   });
 
+  // --- Typing indicators (relayed only to the other chat members) ---
+  const relayTyping = (event) => async ({ chatId } = {}) => {
+    try {
+      const { chat } = await checkChatAccess(chatId, userId);
+      if (!chat) return;
+      emitToMembers(io, chat, event, { chatId, userId, name: user.name }, { except: user._id });
+    } catch (err) {
+      console.error(`❌ ${event} failed:`, err.message);
+    }
+  };
+
+  socket.on("typing", relayTyping("typing"));
+  socket.on("stop typing", relayTyping("stop typing"));
+
   // --- Call signaling events ---
   socket.on("call-user", (data) => {
     io.to(data.to).emit("incoming-call", {
-      from: data.from,
-      name: data.name,
+      from: userId,
+      name: user.name,
       callType: data.callType,
     });
   });
 
   socket.on("call-accepted", (data) => {
-    io.to(data.to).emit("call-accepted", { from: data.from });
+    io.to(data.to).emit("call-accepted", { from: userId });
   });
 
   // ✅ WebRTC handshake for stability
   socket.on("prepare-call", (data) => {
-    io.to(data.to).emit("prepare-call", { from: data.from });
+    io.to(data.to).emit("prepare-call", { from: userId });
   });
 
   socket.on("ready-for-offer", (data) => {
-    io.to(data.to).emit("ready-for-offer", { from: data.from });
+    io.to(data.to).emit("ready-for-offer", { from: userId });
   });
 
   // --- WebRTC signaling data ---
   socket.on("webrtc-offer", (data) => {
-    io.to(data.to).emit("webrtc-offer", data);
+    io.to(data.to).emit("webrtc-offer", { ...data, from: userId });
   });
 
   socket.on("webrtc-answer", (data) => {
-    io.to(data.to).emit("webrtc-answer", data);
+    io.to(data.to).emit("webrtc-answer", { ...data, from: userId });
   });
 
   socket.on("webrtc-ice-candidate", (data) => {
-    io.to(data.to).emit("webrtc-ice-candidate", data);
+    io.to(data.to).emit("webrtc-ice-candidate", { ...data, from: userId });
   });
 
   socket.on("end-call", (data) => {
-    io.to(data.to).emit("end-call", data);
+    io.to(data.to).emit("end-call", { ...data, from: userId });
   });
 
   // ✅ Notify peers on disconnect
@@ -153,12 +258,30 @@ io.on("connection", (socket) => {
     });
   });
 
-  socket.on("disconnect", () => {
+  socket.on("disconnect", async () => {
+    clearTimeout(socket.data.expiryTimer);
+
+    // Only the last tab/device going away makes the user offline
+    if (removeSocket(userId, socket.id)) {
+      try {
+        const lastSeen = new Date();
+        await User.updateOne({ _id: userId }, { lastSeen }, { timestamps: false });
+        const contactIds = await getContactIds(userId);
+        if (contactIds.length > 0) {
+          io.to(contactIds).emit("presence", { userId, online: false, lastSeen });
+        }
+      } catch (err) {
+        console.error("❌ presence update failed:", err.message);
+      }
+    }
+
     console.log("❌ Socket disconnected:", socket.id);
   });
 });
 
 // ✅ Start Server
-server.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
+ready.then(() => {
+  server.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,44 @@
+const getMailer = require("../config/mailer");
+
+// Where links in emails point: the frontend, which calls back into the API
+const appUrl = (path, params) => {
+  const url = new URL(path, process.env.FRONTEND_URL || "http://localhost:5173");
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.href;
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// A short message with one button; `text` is the plain-text fallback
+const sendAccountEmail = (user, { subject, intro, action, link, outro }) =>
+  getMailer().send({
+    from: process.env.MAIL_FROM || "ChatCat <no-reply@chatcat.local>",
+    to: user.email,
+    subject,
+    text: `Hi ${user.name},\n\n${intro}\n\n${link}\n\n${outro}\n`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+<p>${escapeHtml(outro)}</p>`,
+  });
+
+const sendPasswordResetEmail = (user, token, ttlMs) =>
+  sendAccountEmail(user, {
+    subject: "Reset your ChatCat password",
+    intro: "Someone (hopefully you) asked to reset your ChatCat password. Use this link to choose a new one:",
+    action: "Reset password",
+    link: appUrl("/reset-password", { token }),
+    outro: `The link works once and expires in ${Math.round(ttlMs / 60000)} minutes. If you didn't ask for this, you can ignore this email.`,
+  });
+
+const sendVerificationEmail = (user, params, ttlSeconds) =>
+  sendAccountEmail(user, {
+    subject: "Confirm your ChatCat email address",
+    intro: "Welcome to ChatCat! Please confirm this is your email address so you can start chatting:",
+    action: "Verify email address",
+    link: appUrl("/verify-email", params),
+    outro: `The link expires in ${Math.round(ttlSeconds / 3600)} hours. If you didn't create a ChatCat account, you can ignore this email.`,
+  });
+
+module.exports = { sendPasswordResetEmail, sendVerificationEmail };
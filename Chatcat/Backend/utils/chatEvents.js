@@ -0,0 +1,10 @@
+// Emit an event to each member's personal room, optionally skipping one user or one socket
+const emitToMembers = (io, chat, event, payload, { except, exceptSocket } = {}) => {
+  const target = exceptSocket ? io?.except(exceptSocket) : io;
+  chat.users.forEach((memberId) => {
+    if (except && memberId.equals(except)) return;
+    target?.to(String(memberId)).emit(event, payload);
+  });
+};
+
+module.exports = { emitToMembers };
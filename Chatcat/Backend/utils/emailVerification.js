@@ -0,0 +1,31 @@
+const crypto = require("crypto");
+
+// How long a verification link works; users can ask for a new one at any time
+const VERIFICATION_LINK_TTL_SECONDS = 24 * 60 * 60;
+
+const signingSecret = () => process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET;
+
+// Covers the address too, so a link only ever verifies the email it was sent to
+const signature = (userId, email, expires) =>
+  crypto
+    .createHmac("sha256", signingSecret())
+    .update(`verify-email:${userId}:${email}:${expires}`)
+    .digest("hex");
+
+// Query parameters for the link in a verification email
+const signVerification = (user, ttlSeconds = VERIFICATION_LINK_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return { user: String(user._id), expires: String(expires), sig: signature(user._id, user.email, expires) };
+};
+
+const verifyVerificationSignature = (user, expires, sig) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now()) return false;
+  if (typeof sig !== "string") return false;
+
+  const expected = Buffer.from(signature(user._id, user.email, expiresAt), "hex");
+  const given = Buffer.from(sig, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+module.exports = { VERIFICATION_LINK_TTL_SECONDS, signVerification, verifyVerificationSignature };
@@ -0,0 +1,47 @@
+// Recognise a file from its first bytes rather than trusting its name or the client's MIME type
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map((c) => c.charCodeAt(0));
+
+// Each signature lists the MIME types its container can legitimately hold
+const SIGNATURES = [
+  { types: ["image/jpeg"], test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { types: ["image/png"], test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { types: ["image/gif"], test: (b) => startsWith(b, ascii("GIF87a")) || startsWith(b, ascii("GIF89a")) },
+  { types: ["image/webp"], test: (b) => startsWith(b, ascii("RIFF")) && startsWith(b, ascii("WEBP"), 8) },
+  { types: ["application/pdf"], test: (b) => startsWith(b, ascii("%PDF-")) },
+  // ISO base media: the brand after "ftyp" tells M4A audio from everything else
+  {
+    types: ["audio/mp4"],
+    test: (b) => startsWith(b, ascii("ftyp"), 4) && (startsWith(b, ascii("M4A "), 8) || startsWith(b, ascii("M4B "), 8)),
+  },
+  {
+    types: ["video/mp4", "audio/mp4"],
+    test: (b) => startsWith(b, ascii("ftyp"), 4) && !startsWith(b, ascii("qt  "), 8),
+  },
+  { types: ["video/webm", "audio/webm"], test: (b) => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { types: ["audio/ogg", "video/ogg"], test: (b) => startsWith(b, ascii("OggS")) },
+  // MP3: an ID3 tag, or straight into an MPEG audio frame
+  { types: ["audio/mpeg"], test: (b) => startsWith(b, ascii("ID3")) || (b.length >= 2 && b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+];
+
+// Native binaries and scripts, whatever they claim to be
+const EXECUTABLE_SIGNATURES = [
+  ascii("MZ"), // Windows PE / DOS
+  [0x7f, 0x45, 0x4c, 0x46], // ELF
+  [0xfe, 0xed, 0xfa, 0xce], // Mach-O
+  [0xfe, 0xed, 0xfa, 0xcf],
+  [0xce, 0xfa, 0xed, 0xfe],
+  [0xcf, 0xfa, 0xed, 0xfe],
+  [0xca, 0xfe, 0xba, 0xbe], // Mach-O universal / Java class
+  ascii("#!"), // shebang scripts
+];
+
+// MIME types consistent with the content, most specific first; empty if unrecognised
+const sniffMimeTypes = (buffer) => SIGNATURES.find(({ test }) => test(buffer))?.types || [];
+
+const looksExecutable = (buffer) => EXECUTABLE_SIGNATURES.some((bytes) => startsWith(buffer, bytes));
+
+module.exports = { sniffMimeTypes, looksExecutable };
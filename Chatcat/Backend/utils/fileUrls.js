@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+
+// Signed download links are short-lived; clients ask for a fresh one when needed
+const SIGNED_URL_TTL_SECONDS = 5 * 60;
+
+const signingSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+const signature = (fileId, expires) =>
+  crypto.createHmac("sha256", signingSecret()).update(`${fileId}:${expires}`).digest("hex");
+
+// Stable reference stored on messages; exchanged for a signed link at read time
+const fileUrl = (fileId) => `/api/upload/${fileId}`;
+
+const signFileUrl = (fileId, ttlSeconds = SIGNED_URL_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return {
+    url: `${fileUrl(fileId)}/content?expires=${expires}&sig=${signature(fileId, expires)}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+const verifyFileSignature = (fileId, expires, sig) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now()) return false;
+  if (typeof sig !== "string") return false;
+
+  const expected = Buffer.from(signature(fileId, expiresAt), "hex");
+  const given = Buffer.from(sig, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+module.exports = { fileUrl, signFileUrl, verifyFileSignature };
@@ -1,7 +1,10 @@
 const jwt = require("jsonwebtoken");
 
+// Short-lived access token; clients renew it with their refresh token (see utils/refreshTokens.js)
 const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: "30d" });
+  return jwt.sign({ id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || "15m",
+  });
 };
 
 module.exports = generateToken;
@@ -0,0 +1,42 @@
+const sharp = require("sharp");
+
+// Longest edge, in pixels, of each downscaled copy kept alongside the original
+const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  preview: 1280,
+};
+
+// Every image type we accept is re-encoded, in its own format; GIF and WebP keep all their frames
+const PROCESSED_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+
+// Animated images are one tall strip of frames to sharp; report the size of a single frame
+const frameSize = (info) => ({ width: info.width, height: info.pageHeight || info.height });
+
+/**
+ * Strip metadata (EXIF, GPS, comments, ...) from an uploaded image and build its smaller variants.
+ * Returns { buffer, width, height, variants: { name: { buffer, mimeType, width, height } } },
+ * or null when the buffer isn't an image we handle.
+ */
+const processImage = async (buffer, mimeType) => {
+  if (!PROCESSED_TYPES.includes(mimeType)) return null;
+
+  // rotate() bakes the EXIF orientation into the pixels; output carries no metadata by default
+  const { data, info } = await sharp(buffer, { animated: true }).rotate().toBuffer({ resolveWithObject: true });
+
+  const variants = {};
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    const variant = await sharp(data, { animated: true })
+      .resize(size, size, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    variants[name] = {
+      buffer: variant.data,
+      mimeType: "image/webp",
+      ...frameSize(variant.info),
+    };
+  }
+
+  return { buffer: data, ...frameSize(info), variants };
+};
+
+module.exports = { IMAGE_VARIANTS, processImage };
@@ -0,0 +1,179 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+// Unfurling fetches arbitrary user-supplied URLs, so it is boxed in on every side
+const UNFURL_TIMEOUT_MS = 5000;
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Addresses a preview fetch must never reach: loopback, private, link-local (cloud metadata), etc.
+// BlockList also applies the IPv4 rules to IPv4-mapped IPv6 addresses (::ffff:a.b.c.d); the IPv6
+// ranges that tunnel or translate to an embedded IPv4 address (NAT64, 6to4, Teredo) are blocked
+// outright, since that address could be a private one.
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["2001::", 32],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+const isPublicAddress = (address, family) =>
+  !blockedAddresses.check(address, family === 6 || family === "IPv6" ? "ipv6" : "ipv4");
+
+// DNS lookup for the socket itself, so the address we vet is the one we connect to
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address, family }) => !isPublicAddress(address, family));
+    if (blocked || addresses.length === 0) {
+      return callback(new Error(`Refusing to fetch ${hostname}: not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// The first http(s) link in a message, without trailing punctuation
+const findFirstUrl = (content) => {
+  const match = content?.match(/https?:\/\/[^\s<>"']+/i);
+  if (!match) return null;
+  const url = match[0].replace(/[.,;:!?)\]}]+$/, "");
+  try {
+    return new URL(url).href;
+  } catch {
+    return null;
+  }
+};
+
+// GET a page, following a few redirects; resolves { url, html } or null for anything that isn't HTML
+const fetchHtml = (url, signal, redirects = 0) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (!["http:", "https:"].includes(target.protocol)) return resolve(null);
+    if (net.isIP(target.hostname.replace(/^\[|\]$/g, ""))) {
+      // Literal IPs skip DNS, so vet them here
+      const literal = target.hostname.replace(/^\[|\]$/g, "");
+      if (!isPublicAddress(literal, net.isIP(literal))) return resolve(null);
+    }
+
+    const client = target.protocol === "https:" ? https : http;
+    const req = client.get(
+      target,
+      {
+        lookup: safeLookup,
+        signal,
+        headers: {
+          "User-Agent": "ChatcatLinkPreview/1.0",
+          Accept: "text/html,application/xhtml+xml",
+        },
+      },
+      (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          if (redirects >= MAX_REDIRECTS) return resolve(null);
+          return resolve(fetchHtml(new URL(res.headers.location, target).href, signal, redirects + 1));
+        }
+        if (res.statusCode !== 200 || !/text\/html|application\/xhtml/i.test(res.headers["content-type"] || "")) {
+          res.resume();
+          return resolve(null);
+        }
+
+        // Metadata lives in <head>; stop reading once we have enough
+        const chunks = [];
+        let size = 0;
+        const finish = () => resolve({ url: target.href, html: Buffer.concat(chunks).toString("utf8") });
+        res.on("data", (chunk) => {
+          chunks.push(chunk);
+          size += chunk.length;
+          if (size >= MAX_HTML_BYTES || /<\/head>/i.test(chunk.toString("latin1"))) {
+            res.destroy();
+            finish();
+          }
+        });
+        res.on("end", finish);
+        res.on("error", reject);
+      }
+    );
+    req.on("error", reject);
+  });
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([\da-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+const clean = (text, maxLength) => {
+  if (!text) return undefined;
+  const value = decodeEntities(text).replace(/\s+/g, " ").trim();
+  if (!value) return undefined;
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+};
+
+// <meta property|name="..." content="..."> in either attribute order
+const parseMetaTags = (html) => {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = tag.match(/\b(?:property|name)\s*=\s*["']([^"']+)["']/i)?.[1]?.toLowerCase();
+    const content = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    if (key && content && !(key in meta)) meta[key] = content[1] ?? content[2];
+  }
+  return meta;
+};
+
+/**
+ * OpenGraph (falling back to <title>/description) for a URL, or null if there is nothing usable.
+ * Never throws: an unreachable, private, slow or oversized page just has no preview. og:image is
+ * left out: every viewer's browser would load it straight from the linked site, telling whoever
+ * posted the link who read it.
+ */
+const unfurl = async (url) => {
+  try {
+    const page = await fetchHtml(url, AbortSignal.timeout(UNFURL_TIMEOUT_MS));
+    if (!page) return null;
+
+    const meta = parseMetaTags(page.html);
+    const title = clean(meta["og:title"] || page.html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1], MAX_TITLE_LENGTH);
+    if (!title) return null;
+
+    return {
+      url,
+      title,
+      description: clean(meta["og:description"] || meta.description, MAX_DESCRIPTION_LENGTH),
+      siteName: clean(meta["og:site_name"], MAX_TITLE_LENGTH) || new URL(page.url).hostname,
+    };
+  } catch (error) {
+    console.warn(`Link preview failed for ${url}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = { findFirstUrl, unfurl };
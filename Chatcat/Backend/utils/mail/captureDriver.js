@@ -0,0 +1,33 @@
+// Links in a plain-text body, one per line in the account emails
+const LINK_PATTERN = /https?:\/\/\S+/g;
+
+// Keeps mail in memory instead of sending it, for local development and tests; read it from
+// `outbox`. Bodies are never logged, but outside production the links in them are, since the
+// console is the only place a local developer can follow a verification or reset email.
+const createCaptureDriver = ({
+  log = process.env.NODE_ENV !== "test",
+  logLinks = process.env.NODE_ENV !== "production",
+} = {}) => {
+  const outbox = [];
+
+  return {
+    name: "capture",
+    outbox,
+
+    async send(message) {
+      outbox.push({ ...message, sentAt: new Date() });
+      if (log) {
+        console.log(`📧 Captured mail to ${message.to}: ${message.subject}`);
+        if (logLinks) {
+          (message.text?.match(LINK_PATTERN) || []).forEach((link) => console.log(`   ${link}`));
+        }
+      }
+    },
+
+    clear() {
+      outbox.length = 0;
+    },
+  };
+};
+
+module.exports = createCaptureDriver;
@@ -0,0 +1,31 @@
+const nodemailer = require("nodemailer");
+
+// Sends through any SMTP server (a provider's relay, Mailpit/MailHog locally, ...)
+const createSmtpDriver = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === "true",
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+} = {}) => {
+  if (!host) {
+    throw new Error("SMTP_HOST is required for the smtp mail driver");
+  }
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+
+    async send({ from, to, subject, text, html }) {
+      await transport.sendMail({ from, to, subject, text, html });
+    },
+  };
+};
+
+module.exports = createSmtpDriver;
@@ -0,0 +1,38 @@
+const crypto = require("crypto");
+const PasswordReset = require("../models/passwordResetModel");
+
+// A reset link works once, within this window
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// A new reset token for the user; any earlier ones stop working
+const issuePasswordReset = async (userId) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await PasswordReset.deleteMany({ user: userId });
+  await PasswordReset.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+  });
+
+  return token;
+};
+
+// Spend a reset token: the user id it was issued for, or null if it is unknown, expired or used
+const consumePasswordReset = async (token) => {
+  if (typeof token !== "string" || !token) return null;
+
+  // Deleting it in the same step means two concurrent resets can't both use it
+  const record = await PasswordReset.findOneAndDelete({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  });
+  if (!record) return null;
+
+  await PasswordReset.deleteMany({ user: record.user });
+  return record.user;
+};
+
+module.exports = { PASSWORD_RESET_TTL_MS, issuePasswordReset, consumePasswordReset };
@@ -0,0 +1,36 @@
+const Chat = require("../models/chatModel");
+
+// userId -> Set of connected socket ids, so several tabs/devices count as one presence
+const onlineSockets = new Map();
+
+const isOnline = (userId) => onlineSockets.has(String(userId));
+
+// Returns true when this is the user's first connected socket
+const addSocket = (userId, socketId) => {
+  const key = String(userId);
+  const sockets = onlineSockets.get(key) || new Set();
+  sockets.add(socketId);
+  onlineSockets.set(key, sockets);
+  return sockets.size === 1;
+};
+
+// Returns true when the user has no connected sockets left
+const removeSocket = (userId, socketId) => {
+  const key = String(userId);
+  const sockets = onlineSockets.get(key);
+  if (!sockets) return false;
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) return false;
+
+  onlineSockets.delete(key);
+  return true;
+};
+
+// Everyone who shares at least one chat with the user
+const getContactIds = async (userId) => {
+  const ids = await Chat.distinct("users", { users: userId });
+  return ids.map(String).filter((id) => id !== String(userId));
+};
+
+module.exports = { isOnline, addSocket, removeSocket, getContactIds };
@@ -0,0 +1,95 @@
+const Chat = require("../models/chatModel");
+const Message = require("../models/messageModel");
+const { emitToMembers } = require("./chatEvents");
+
+/**
+ * Record that `userId` has received the given messages. Messages the user sent
+ * or already has a delivery receipt for are skipped.
+ */
+const markDelivered = async (io, chat, userId, messageIds) => {
+  const filter = {
+    _id: { $in: messageIds },
+    chat: chat._id,
+    sender: { $ne: userId },
+    "deliveredTo.user": { $ne: userId },
+  };
+
+  const pending = await Message.find(filter).select("_id");
+  if (pending.length === 0) return null;
+
+  const at = new Date();
+  const ids = pending.map((m) => m._id);
+  await Message.updateMany({ ...filter, _id: { $in: ids } }, {
+    $push: { deliveredTo: { user: userId, at } },
+  });
+
+  const receipt = { chatId: chat._id, userId, messageIds: ids, at };
+  emitToMembers(io, chat, "messages delivered", receipt, { except: userId });
+  return receipt;
+};
+
+// Move the user's last-read marker forward (never back). Timestamps are left
+// alone so reading a chat doesn't reorder everyone's chat list.
+const advanceLastRead = async (chatId, userId, message) => {
+  const marker = { message: message._id, messageCreatedAt: message.createdAt };
+
+  const moved = await Chat.updateOne(
+    {
+      _id: chatId,
+      lastRead: { $elemMatch: { user: userId, messageCreatedAt: { $lt: message.createdAt } } },
+    },
+    {
+      $set: {
+        "lastRead.$.message": marker.message,
+        "lastRead.$.messageCreatedAt": marker.messageCreatedAt,
+      },
+    },
+    { timestamps: false }
+  );
+
+  if (moved.matchedCount === 0) {
+    await Chat.updateOne(
+      { _id: chatId, "lastRead.user": { $ne: userId } },
+      { $push: { lastRead: { user: userId, ...marker } } },
+      { timestamps: false }
+    );
+  }
+};
+
+/**
+ * Mark every message in the chat up to and including `messageId` as read by
+ * `userId`. Reading implies delivery, so missing delivery receipts are filled in.
+ */
+const markRead = async (io, chat, userId, messageId) => {
+  const upTo = await Message.findOne({ _id: messageId, chat: chat._id }).select("createdAt");
+  if (!upTo) return null;
+
+  const at = new Date();
+  const base = {
+    chat: chat._id,
+    sender: { $ne: userId },
+    createdAt: { $lte: upTo.createdAt },
+  };
+
+  await Message.updateMany(
+    { ...base, "readBy.user": { $ne: userId } },
+    { $push: { readBy: { user: userId, at } } }
+  );
+  await Message.updateMany(
+    { ...base, "deliveredTo.user": { $ne: userId } },
+    { $push: { deliveredTo: { user: userId, at } } }
+  );
+  await advanceLastRead(chat._id, userId, upTo);
+
+  const receipt = {
+    chatId: chat._id,
+    userId,
+    upTo: upTo._id,
+    upToCreatedAt: upTo.createdAt,
+    at,
+  };
+  emitToMembers(io, chat, "messages read", receipt, { except: userId });
+  return receipt;
+};
+
+module.exports = { markDelivered, markRead };
@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+const RefreshToken = require("../models/refreshTokenModel");
+
+// A login lasts this long without activity; every refresh starts the clock again
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+
+// A new refresh token, continuing `family` or starting a new login session
+const issueRefreshToken = async (userId, { family = crypto.randomUUID(), userAgent } = {}) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent,
+  });
+
+  return token;
+};
+
+/**
+ * Spend a refresh token and get its successor: { userId, refreshToken }, or null if the token is
+ * unknown, expired or already used. Presenting an already-used token means it leaked, so the
+ * whole session it belongs to is revoked.
+ */
+const rotateRefreshToken = async (token, { userAgent } = {}) => {
+  if (typeof token !== "string" || !token) return null;
+  const tokenHash = hashToken(token);
+
+  // Claim it atomically so two concurrent refreshes can't both succeed
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date() }
+  );
+
+  if (!record) {
+    const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+    if (reused) await revokeFamily(reused.family);
+    return null;
+  }
+
+  const refreshToken = await issueRefreshToken(record.user, { family: record.family, userAgent });
+  return { userId: record.user, refreshToken };
+};
+
+// End the login session a refresh token belongs to
+const revokeRefreshToken = async (token) => {
+  if (typeof token !== "string" || !token) return;
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (record) await revokeFamily(record.family);
+};
+
+// End every login session a user has, e.g. after a password change
+const revokeUserRefreshTokens = (userId) =>
+  RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+};
@@ -0,0 +1,45 @@
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Words from a $text query, minus negated terms and quote marks
+const searchTerms = (query) =>
+  query
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .map((word) => word.replace(/"/g, ""))
+    .filter(Boolean);
+
+/**
+ * Cut a window of `content` around the first matching term and report where
+ * the terms fall inside it, so the client can highlight without parsing HTML.
+ */
+const buildSnippet = (content = "", terms = [], radius = 60) => {
+  if (terms.length === 0) {
+    return { snippet: content.slice(0, radius * 2), highlights: [] };
+  }
+
+  // Prefix match, since the text index stems words ("meeting" finds "meetings"); word edges are
+  // Unicode letters and digits, since \b and \w only know ASCII and miss "встреча"
+  const pattern = new RegExp(
+    terms.map((t) => `(?<![\\p{L}\\p{M}\\p{N}_])${escapeRegExp(t)}[\\p{L}\\p{M}\\p{N}_]*`).join("|"),
+    "giu"
+  );
+  const first = content.search(pattern);
+
+  const start = first > radius ? first - radius : 0;
+  const end = Math.min(content.length, Math.max(first, 0) + radius * 2);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < content.length ? "…" : "";
+  const window = content.slice(start, end);
+
+  const highlights = [];
+  for (const match of window.matchAll(pattern)) {
+    highlights.push({
+      start: prefix.length + match.index,
+      end: prefix.length + match.index + match[0].length,
+    });
+  }
+
+  return { snippet: `${prefix}${window}${suffix}`, highlights };
+};
+
+module.exports = { searchTerms, buildSnippet };
@@ -0,0 +1,44 @@
+const fs = require("fs");
+const path = require("path");
+
+// Stores files on this machine's disk; fine for a single backend instance
+const createLocalDriver = ({ root = process.env.UPLOAD_DIR || path.join(__dirname, "../../uploads") } = {}) => {
+  const resolved = path.resolve(root);
+
+  // Keys never escape the storage root
+  const fullPath = (key) => {
+    const file = path.resolve(resolved, key);
+    if (!file.startsWith(resolved + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: "local",
+
+    // writeFile takes a Buffer or drains a stream
+    async put(key, body) {
+      const file = fullPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+
+    // A readable stream of the whole file or an inclusive byte range, or null if missing
+    async read(key, { start, end } = {}) {
+      const file = fullPath(key);
+      try {
+        await fs.promises.access(file);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(file, { start, end });
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fullPath(key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalDriver;
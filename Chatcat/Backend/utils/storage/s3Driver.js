@@ -0,0 +1,69 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, ...), shared by every backend instance.
+// For a local MinIO: S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true
+const createS3Driver = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true",
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+} = {}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Without explicit keys the SDK falls back to its usual AWS credential chain
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    name: "s3",
+
+    // Streams need their size up front: S3 won't accept a body of unknown length
+    async put(key, body, { contentType, size } = {}) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          ContentLength: size,
+        })
+      );
+    },
+
+    // A readable stream of the whole object or an inclusive byte range, or null if missing
+    async read(key, { start, end } = {}) {
+      try {
+        const { Body } = await client.send(
+          new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Range: start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined,
+          })
+        );
+        return Body;
+      } catch (err) {
+        if (err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,148 @@
+const path = require("path");
+const Upload = require("../models/uploadModel");
+const getStorage = require("../config/storage");
+const { processImage } = require("./imageProcessing");
+const { fileUrl } = require("./fileUrls");
+const { sniffMimeTypes, looksExecutable } = require("./fileSniffing");
+const allowedUploadTypes = require("../config/uploadTypes");
+
+const MB = 1024 * 1024;
+
+// Read on use so values from .env apply: MAX_UPLOAD_SIZE_MB caps a whole file,
+// UPLOAD_CHUNK_SIZE_MB is both the chunk size for resumable uploads and the single-request limit
+const uploadLimits = () => ({
+  maxSize: Number(process.env.MAX_UPLOAD_SIZE_MB || 100) * MB,
+  chunkSize: Number(process.env.UPLOAD_CHUNK_SIZE_MB || 5) * MB,
+});
+
+// Rejections carry a machine-readable code next to the message, e.g. { code: "CONTENT_MISMATCH" }
+const uploadError = (res, status, code, message) => {
+  res.status(status);
+  const error = new Error(message);
+  error.errorCode = code;
+  return error;
+};
+
+const describeAllowed = (types) => types.map((t) => t.label).join(", ");
+
+// The declared type and the file name's extension must both be on the allow-list, and agree
+const checkUploadType = (res, { name, mimeType }) => {
+  const types = allowedUploadTypes();
+  const type = types.find((t) => t.mimeType === mimeType);
+
+  if (!type) {
+    throw uploadError(res, 415, "UNSUPPORTED_TYPE", `Only ${describeAllowed(types)} files can be uploaded`);
+  }
+  if (!type.extensions.includes(path.extname(name).toLowerCase())) {
+    throw uploadError(
+      res,
+      415,
+      "EXTENSION_MISMATCH",
+      `A ${type.label} file must be named ${type.extensions.join(" or ")}`
+    );
+  }
+};
+
+// The first bytes must really be the declared type, and never a program
+const checkUploadContent = (res, { mimeType, head }) => {
+  if (looksExecutable(head)) {
+    throw uploadError(res, 422, "EXECUTABLE_CONTENT", "Executable files can't be uploaded");
+  }
+  if (!sniffMimeTypes(head).includes(mimeType)) {
+    throw uploadError(res, 422, "CONTENT_MISMATCH", `File content doesn't match its type (${mimeType})`);
+  }
+};
+
+/**
+ * Put a finished file (a Buffer, or a stream of exactly `size` bytes) into storage and record it.
+ * Buffered images are cleaned and get thumbnail/preview copies first. Anything already stored is
+ * removed again if a later step fails. `res` is optional outside a request (e.g. migrations).
+ */
+const saveUpload = async (res, { body, originalName, mimeType, size, uploader, chat }) => {
+  let image = null;
+  if (Buffer.isBuffer(body)) {
+    try {
+      image = await processImage(body, mimeType);
+    } catch (error) {
+      console.error("❌ Image processing error:", error.message);
+      res?.status(400);
+      throw new Error("Image could not be processed");
+    }
+  }
+
+  const uniqueName = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  const key = uniqueName + path.extname(originalName).toLowerCase();
+  const content = image ? image.buffer : body;
+  const contentSize = Buffer.isBuffer(content) ? content.length : size;
+
+  const storage = getStorage();
+  const stored = [];
+
+  try {
+    await storage.put(key, content, { contentType: mimeType, size: contentSize });
+    stored.push(key);
+
+    const variants = {};
+    for (const [name, variant] of Object.entries(image?.variants || {})) {
+      const variantKey = `${uniqueName}-${name}.webp`;
+      await storage.put(variantKey, variant.buffer, {
+        contentType: variant.mimeType,
+        size: variant.buffer.length,
+      });
+      stored.push(variantKey);
+      variants[name] = {
+        filename: variantKey,
+        mimeType: variant.mimeType,
+        size: variant.buffer.length,
+        width: variant.width,
+        height: variant.height,
+      };
+    }
+
+    const record = await Upload.create({
+      filename: key,
+      originalName,
+      mimeType,
+      size: contentSize,
+      width: image?.width,
+      height: image?.height,
+      variants,
+      uploader,
+      chat,
+    });
+    console.log("✅ File uploaded:", record.filename);
+    return record;
+  } catch (error) {
+    stored.forEach((storedKey) => storage.remove(storedKey).catch(() => {}));
+    throw error;
+  }
+};
+
+// Delete a file, its image variants and its record
+const removeUpload = async (record) => {
+  const storage = getStorage();
+  const keys = [record.filename, ...[...(record.variants?.values() || [])].map((v) => v.filename)];
+  await Promise.all(keys.map((key) => storage.remove(key).catch(() => {})));
+  await Upload.deleteOne({ _id: record._id });
+};
+
+// Shaped like a message attachment so the client can pass it straight through
+const uploadResponse = (record) => ({
+  fileId: record._id,
+  url: fileUrl(record._id),
+  name: record.originalName,
+  mimeType: record.mimeType,
+  size: record.size,
+  width: record.width,
+  height: record.height,
+});
+
+module.exports = {
+  uploadLimits,
+  uploadError,
+  checkUploadType,
+  checkUploadContent,
+  saveUpload,
+  removeUpload,
+  uploadResponse,
+};